@@ -1,20 +1,194 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
 const Bottleneck = require('bottleneck');
 const axios = require('axios');
+const { createZip } = require('./lib/zip');
+const journals = require('./lib/journal');
+const checkpoints = require('./lib/checkpoint');
+const caches = require('./lib/cache');
+const resources = require('./lib/resources');
+const gradeMigration = require('./lib/gradeMigration');
+const { createLogger } = require('./lib/logger');
+const { ListProgress } = require('./lib/progress');
+const { CanvasClientPool } = require('./lib/pool');
+const auths = require('./lib/auth');
+const exporters = require('./lib/export');
+const syncs = require('./lib/sync');
+const patterns = require('./lib/patterns');
+const courseCopies = require('./lib/courseCopy');
+const errors = require('./lib/errors');
+const { CanvasError, AuthenticationError, UnexpectedResponseError, GraphQLError, JobFailedError, JobTimeoutError, AbortError, errorFromResponse } = errors;
+
+/*
+CanvasMultiCurl is an EventEmitter. Events (it never emits 'error', so there's no need to listen for anything):
+    request (config)                      before every request is sent (or answered from the cache/dry run)
+    response (response, duration)         every response that came back, including errors and 304s; cache hits
+                                          have response.cached set
+    requestError (error)                  every failure, as the CanvasError that's collected or thrown
+    retry ({ config, attempt, delay, reason, response })
+    rateLimited ({ config, attempt, delay, remaining })
+    pageDiscovered ({ url, page, item }) a list page has been queued (item is null for getList/iterate)
+    itemComplete ({ item, failed })       getAllResultsFromArray/iterateFromArray has finished an item
+    copyComplete ({ targetId, migration, issues, error })   copyCourse has finished with one target course
+*/
+class CanvasMultiCurl extends EventEmitter {
+    constructor(accessToken, domain, maxConcurrent = 10, minTime = 200, options = {}) {
+        super();
+        // Optional OAuth2 in place of a fixed token: options for the refresh token or client credentials flow, or
+        // anything with a getAccessToken() method. See lib/auth.js. accessToken can be null when it's used.
+        this.auth = auths.createAuth(options.auth, domain);
+        if (this.auth && Array.isArray(accessToken)) {
+            throw new TypeError('Pass either a list of tokens or the auth option, not both');
+        }
 
-class CanvasMultiCurl {
-    constructor(accessToken, domain, maxConcurrent = 10, minTime = 200) {
-        this.accessToken = accessToken;
+        // accessToken can be a list of tokens for the same instance. Canvas throttles each token separately, so each
+        // gets a limiter of its own and requests go to whichever isn't busy or being throttled (see pickToken).
+        const tokens = Array.isArray(accessToken) ? accessToken : [accessToken];
+        this.accessToken = tokens[0];
         this.domain = domain;
+        this.maxConcurrent = maxConcurrent * tokens.length;
 
-        // Initialize Bottleneck with the provided settings
-        this.limiter = new Bottleneck({
+        // Initialize Bottleneck with the provided settings, or take limiters from options.limiterFor(token) so
+        // clients with the same token can share one (see lib/pool.js)
+        const createLimiter = token => options.limiterFor ? options.limiterFor(token) : new Bottleneck({
             maxConcurrent: maxConcurrent, // Number of concurrent requests
             minTime: minTime // Minimum time between requests (in ms)
         });
+        if (tokens.length === 1) {
+            this.limiter = createLimiter(tokens[0]);
+            this.tokens = [{ token: tokens[0], limiter: this.limiter, throttledUntil: 0 }];
+        } else {
+            // With several tokens this.limiter just hands requests on to the tokens' limiters, which space them out
+            this.limiter = new Bottleneck({ maxConcurrent: this.maxConcurrent });
+            this.tokens = tokens.map(token => ({ token, limiter: createLimiter(token), throttledUntil: 0 }));
+        }
+        this.nextToken = 0;
+
+        // How many ID ranges to walk at once when a list uses bookmarks (0 or false to walk sequentially),
+        // and roughly how many pages each range should cover
+        this.bookmarkRanges = options.bookmarkRanges !== undefined ? options.bookmarkRanges : 4;
+        this.bookmarkPagesPerRange = options.bookmarkPagesPerRange || 5;
+
+        // Which failures get retried and how. Rate limit 403s are always retried (up to maxAttempts) using
+        // calculateRetryDelay; everything else only for idempotent methods unless retryNonIdempotent is set
+        // (or a request config sets idempotent: true itself)
+        this.retryPolicy = {
+            maxAttempts: 6, // including the first try
+            retryStatuses: [429, 500, 502, 503, 504],
+            retryErrorCodes: ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN'],
+            baseDelay: 500, // ms, doubled each attempt
+            maxDelay: 30000,
+            jitter: true,
+            respectRetryAfter: true,
+            retryNonIdempotent: false,
+            ...options.retryPolicy
+        };
+
+        // 'collect' (default) logs failed requests and returns null for them, 'throw' throws a CanvasError instead
+        this.errorMode = options.errorMode || 'collect';
+
+        // Optional feedback control of concurrency and spacing from the X-Rate-Limit-Remaining header of every response.
+        // Pass true for the defaults, or an object overriding any of them.
+        this.adaptiveRateLimit = options.adaptiveRateLimit ? {
+            minConcurrent: 1,
+            maxConcurrent: this.maxConcurrent,
+            minTime: minTime, // never space requests closer than the constructor asked for
+            maxMinTime: 2000,
+            lowWater: 200, // shrink when the bucket has less than this left (Canvas buckets hold 700)
+            highWater: 500, // grow when it has more than this left and isn't draining
+            growInterval: 1000, // grow at most this often (ms)
+            shrinkInterval: 200, // shrink at most this often (ms), so responses already in flight don't all halve it again
+            onAdjust: null, // called with the stats whenever concurrency or spacing changes
+            ...(typeof options.adaptiveRateLimit === 'object' ? options.adaptiveRateLimit : {})
+        } : null;
+
+        // What X-Rate-Limit-Remaining says about the bucket. Canvas keeps a bucket per token, so with several tokens
+        // each one also tracks its own, which is what steers its limiter (see updateRateLimit).
+        this.rateLimit = this.createRateLimitState(this.maxConcurrent, minTime);
+        this.tokens.forEach(slot => {
+            slot.rateLimit = this.tokens.length === 1 ? this.rateLimit : this.createRateLimitState(maxConcurrent, minTime);
+        });
+
+        // In dry-run mode writes (anything but GETs, and GraphQL queries) aren't sent: they're recorded in dryRunLog
+        // (and the journal, if there is one) and get a synthetic successful response instead
+        this.dryRun = Boolean(options.dryRun);
+        this.dryRunLog = [];
+
+        // Optional journal of executed writes with the values they replaced: a file path (NDJSON) or an object
+        // with an append(entry) method. See lib/journal.js and rollback().
+        this.journal = journals.createJournal(options.journal);
+
+        // Optional cache for GETs: true for in memory, a directory to keep it on disk, or an object with ttl, ttls
+        // per endpoint pattern, store etc. See lib/cache.js. Writes invalidate the cached lists they touch.
+        this.cache = caches.createCache(options.cache);
+
+        // Helpers for common endpoints, e.g. canvas.assignments.list(courseId). See lib/resources.js.
+        this.courses = new resources.Courses(this);
+        this.enrollments = new resources.Enrollments(this);
+        this.assignments = new resources.Assignments(this);
+        this.users = new resources.Users(this);
+        this.sections = new resources.Sections(this);
+
+        // Where messages go: anything with debug/info/warn/error methods (console by default, null for nothing),
+        // and the lowest level to let through ('debug', 'info', 'warn', 'error' or 'silent')
+        this.logger = createLogger(options.logger !== undefined ? options.logger : console, options.logLevel || 'info');
+
+        // List operations queue their requests in a limiter of their own, chained to the main one, so cancelling an
+        // operation can drop its waiting requests (see createOperationQueue). Keyed by the operation's AbortSignal.
+        this.operationQueues = new WeakMap();
+
+        // Interceptors added with use() (or the interceptors option), run in the order they were added
+        this.interceptors = [];
+        (options.interceptors || []).forEach(interceptor => this.use(interceptor));
+    }
+
+    /*
+    Add an interceptor, an object with any of these (possibly async) hooks:
+        beforeRequest(config)      return a new config, or change the one given and return nothing. Runs once per
+                                   request (not again for retries), before the cache, dry run or journal see it.
+        afterResponse(response)    return a new response, or nothing. Sees every response from Canvas, before
+                                   it's checked for errors or retried.
+        onError(error)             called (not awaited) with every CanvasError before it's collected or thrown
+        onRetry(info)              { config, attempt, delay, reason, response }, awaited before the retry waits
+    Returns a function that removes the interceptor again.
+    */
+    use(interceptor) {
+        this.interceptors.push(interceptor);
+        return () => {
+            this.interceptors = this.interceptors.filter(existing => existing !== interceptor);
+        };
+    }
+
+    // Run a hook on every interceptor in turn, each getting what the last one returned
+    async runInterceptors(hook, value, ...args) {
+        for (const interceptor of this.interceptors) {
+            if (typeof interceptor[hook] === 'function') {
+                const result = await interceptor[hook](value, ...args);
+                if (result !== undefined) {
+                    value = result;
+                }
+            }
+        }
+        return value;
+    }
+
+    // beforeRequest hooks get their own copy of the config, so nothing they change leaks into the caller's
+    async interceptRequest(config) {
+        const intercepted = await this.runInterceptors('beforeRequest', { ...config, headers: { ...config.headers } });
+        intercepted.intercepted = true;
+        return intercepted;
     }
 
     // Helper function to prepare data by adding a prefix to each key
     prepareData(data, prefix) {
+        // Raw bodies (CSV text, zip files, streams) are sent as they are
+        if (typeof data === 'string' || Buffer.isBuffer(data) || (data && typeof data.pipe === 'function')) {
+            return data;
+        }
+
         if (typeof data === 'object' && !Array.isArray(data)) {
             data = { ...data }; // Ensure we are working with a plain object
         }
@@ -28,17 +202,33 @@ class CanvasMultiCurl {
         return preparedData;
     }
 
-    // Function to create a request configuration
-    createRequestConfig(endpoint, method = 'GET', data = null, prefix = null, bookmark = false) {
+    // Function to create a request configuration. options.headers are added to (or override) the defaults,
+    // e.g. a different Content-Type for raw bodies, and options.asUser makes the request as that user (masquerading).
+    createRequestConfig(endpoint, method = 'GET', data = null, prefix = null, bookmark = false, options = {}) {
+        const url = (bookmark) ? `${endpoint}` : `${this.domain}/api/v1/${endpoint}`;
         const config = {
-            url: (bookmark) ? `${endpoint}` : `${this.domain}/api/v1/${endpoint}`,
+            url: options.asUser !== undefined ? this.addAsUser(url, options.asUser) : url,
             method: method.toUpperCase(),
             headers: {
                 'Authorization': `Bearer ${this.accessToken}`,
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                ...options.headers
             }
         };
 
+        // With the auth option the token is only known when the request is sent (see sendRequest). Until then the
+        // identity stands in for it, so cached responses are still kept per user.
+        if (this.auth) {
+            delete config.headers.Authorization;
+            config.authIdentity = this.auth.identity || 'auth';
+        }
+
+        // The token is only for Canvas: writes anywhere else (the pre-signed URL an upload goes to) go without it
+        if (!this.isCanvasUrl(config.url) && !['GET', 'HEAD', 'OPTIONS'].includes(config.method)) {
+            delete config.headers.Authorization;
+            delete config.authIdentity;
+        }
+
         // Handle POST and PUT methods
         if (['POST', 'PUT'].includes(config.method) && data) {
             const preparedData = this.prepareData(data, prefix);
@@ -48,48 +238,209 @@ class CanvasMultiCurl {
         return config;
     }
 
-    // Function to process a single request, with error handling and retry logic
-    processRequest(config, retryCounts) {
-        return this.limiter.schedule(() => this.makeRequest(config))
+    // Add as_user_id to a URL, so Canvas acts as that user (the token's user needs the "Become other users" permission).
+    // userId can be a Canvas ID or e.g. 'sis_user_id:123'.
+    addAsUser(url, userId) {
+        return `${url}${url.includes('?') ? '&' : '?'}as_user_id=${encodeURIComponent(userId)}`;
+    }
+
+    // Function to process a single request, with error handling and retry logic. Retries follow retryPolicy and are
+    // tracked per request (attempt is only passed when processRequest calls itself). Failures are reported as
+    // CanvasErrors (see lib/errors.js): thrown if errorMode is 'throw', otherwise added to failures (if given),
+    // logged, and returned as null.
+    processRequest(config, failures = null, attempt = 0) {
+        if (attempt === 0 && !config.intercepted && this.interceptors.length) {
+            return this.interceptRequest(config).then(intercepted => this.processRequest(intercepted, failures, attempt));
+        }
+
+        // Journaled writes first fetch what they're about to change (outside the limiter, so it can't deadlock)
+        if (attempt === 0 && !this.dryRun && this.isJournaled(config) && config.journalPrevious === undefined) {
+            return this.capturePrevious(config).then(previous => {
+                config.journalPrevious = previous;
+                return this.processRequest(config, failures, attempt);
+            });
+        }
+
+        // Fresh cached responses don't need to wait their turn in the limiter, but listeners (and progress) still
+        // hear about them like any other request. With several tokens, which one will send it (and so whose cached
+        // copy it can have) isn't known until sendWithToken picks one; sendRequest checks the cache then.
+        if (attempt === 0 && this.cache && this.tokens.length === 1 && this.cache.isCacheable(config) && !config.cacheChecked) {
+            config.cacheChecked = true;
+            return this.cache.getFresh(config).then(async cached => {
+                if (!cached) {
+                    return this.processRequest(config, failures, attempt);
+                }
+                this.emit('request', config);
+                const response = await this.runInterceptors('afterResponse', cached);
+                this.emit('response', response, 0);
+                return response;
+            });
+        }
+
+        // Requests cancelled before (or while) they're queued never get sent, and whoever cancelled them doesn't wait
+        // for their turn in the limiter to find out
+        if (config.signal && config.signal.aborted) {
+            return Promise.resolve(null);
+        }
+        const limiter = (config.signal && this.operationQueues.get(config.signal)) || this.limiter;
+        const scheduled = limiter.schedule(() => (config.signal && config.signal.aborted) ? null : this.sendWithToken(config));
+        return this.whenNotAborted(scheduled, config.signal)
             .then(response => {
-                if (response && response.status === 403) {
-                    const isRateLimitError = response.data &&
-                      ((typeof response.data === 'string' && response.data.includes('Rate Limit Exceeded')) ||
-                      (typeof response.data === 'object' && JSON.stringify(response.data).includes('Rate Limit Exceeded')));
+                if (!response) {
+                    return null; // cancelled
+                }
 
+                // If no error, return the successful response
+                if (response.status && response.status < 400) {
+                    return response;
+                }
 
-                    if (isRateLimitError) {
-                        // Rate limit reached, calculate retry delay
-                        const retryDelay = this.calculateRetryDelay(response.headers);
-                        console.error(`Rate limit reached, retrying ${config.url} in ${retryDelay} milliseconds...`);
+                // Couldn't get an access token to send it with; retrying won't help
+                if (response.authError) {
+                    const error = response.authError instanceof CanvasError ? response.authError : new AuthenticationError(
+                        `Couldn't get an access token for ${config.method} ${config.url}: ${response.authError.message}`,
+                        { url: config.url, method: config.method, cause: response.authError });
+                    return this.handleFailure(error, failures);
+                }
 
-                        // Increment retry count
-                        retryCounts[config.url] = (retryCounts[config.url] || 0) + 1;
+                const isRateLimitError = response.status === 403 && response.data &&
+                  ((typeof response.data === 'string' && response.data.includes('Rate Limit Exceeded')) ||
+                  (typeof response.data === 'object' && JSON.stringify(response.data).includes('Rate Limit Exceeded')));
 
-                        if (retryCounts[config.url] <= 5) {
-                            // Delay the retry and then recursively call processRequest
-                            return new Promise(resolve => setTimeout(resolve, retryDelay))
-                                .then(() => this.processRequest(config, retryCounts)); // Retry the request
-                        } else {
-                            console.error(`Exceeded retry limit for ${config.url}`);
-                            return null;
-                        }
-                    } else {
-                        // Handle other 403 errors (non-rate-limit-related)
-                        const errorMessage = response.data ? response.data.error : `403 Forbidden error for ${config.url}`;
-                        console.error(`403 Forbidden error (non-rate-limit) for ${config.url}:`, errorMessage);
-                        return null;
+                let retryDelay = this.getRetryDelay(response, config, attempt, isRateLimitError);
+                if (retryDelay !== null && isRateLimitError && response.config.tokenSlot) {
+                    // Rest the throttled token, and go straight to another one if there's one free
+                    response.config.tokenSlot.throttledUntil = Date.now() + retryDelay;
+                    if (this.tokens.some(slot => slot.throttledUntil <= Date.now())) {
+                        retryDelay = 0;
                     }
                 }
-                // If no rate limit or 403 issues, return the successful response
-                return response;
+                if (retryDelay !== null) {
+                    const reason = isRateLimitError ? 'Rate limit reached' : `${response.status || (response.error && response.error.code) || 'Network'} error`;
+                    this.logger.warn(`${reason}, retrying ${config.url} in ${retryDelay} milliseconds...`);
+
+                    const retry = { config, attempt: attempt + 1, delay: retryDelay, reason, response };
+                    if (isRateLimitError) {
+                        this.emit('rateLimited', { config, attempt: attempt + 1, delay: retryDelay, remaining: response.headers['x-rate-limit-remaining'] });
+                    }
+                    this.emit('retry', retry);
+
+                    // Delay the retry and then recursively call processRequest
+                    return this.runInterceptors('onRetry', retry)
+                        .then(() => this.sleep(retryDelay, config.signal))
+                        .then(() => this.processRequest(config, failures, attempt + 1)); // Retry the request
+                }
+
+                // Out of retries, or not something worth retrying (other 403s, 404s, etc.)
+                return this.handleFailure(errorFromResponse(response, config, attempt, isRateLimitError), failures);
             })
             .catch(error => {
-                console.error(`${error.response.status} error during request to ${config.url}: ${error.response.data.message}`);
-                return null;
+                if (error instanceof CanvasError) {
+                    throw error; // already handled, errorMode is 'throw'
+                }
+                return this.handleFailure(new UnexpectedResponseError(`Unexpected error during request to ${config.url}: ${error.message}`, {
+                    url: config.url,
+                    method: config.method,
+                    retries: attempt,
+                    cause: error
+                }), failures);
             });
     }
 
+    // With several tokens, send a request on whichever one pickToken chooses, through that token's own limiter
+    sendWithToken(config) {
+        if (this.tokens.length === 1) {
+            return this.makeRequest(config);
+        }
+
+        const slot = this.pickToken();
+        const headers = { ...config.headers };
+        if (headers.Authorization === `Bearer ${this.accessToken}`) {
+            headers.Authorization = `Bearer ${slot.token}`; // leave alone anything an interceptor put there
+        }
+        return slot.limiter.schedule(() => this.makeRequest({ ...config, headers, tokenSlot: slot }));
+    }
+
+    // Round-robin over the tokens that aren't being throttled, preferring ones with less waiting on them. If they're
+    // all throttled, use the one that's free soonest.
+    pickToken() {
+        const now = Date.now();
+        const start = this.nextToken;
+        this.nextToken = (this.nextToken + 1) % this.tokens.length;
+
+        let best = null;
+        let bestLoad = Infinity;
+        for (let i = 0; i < this.tokens.length; i++) {
+            const slot = this.tokens[(start + i) % this.tokens.length];
+            if (slot.throttledUntil > now) continue;
+            const counts = slot.limiter.counts();
+            const load = counts.RECEIVED + counts.QUEUED + counts.RUNNING + counts.EXECUTING;
+            if (load < bestLoad) {
+                best = slot;
+                bestLoad = load;
+            }
+        }
+        return best || this.tokens.reduce((soonest, slot) => slot.throttledUntil < soonest.throttledUntil ? slot : soonest);
+    }
+
+    // Works out how long to wait before retrying a failed response, or null if it shouldn't be retried
+    getRetryDelay(response, config, attempt, isRateLimitError = false) {
+        const policy = this.retryPolicy;
+        if (attempt + 1 >= policy.maxAttempts) {
+            return null;
+        }
+
+        // Canvas turns throttled requests away before doing anything, so those are safe to retry whatever the method
+        if (isRateLimitError) {
+            return this.calculateRetryDelay(response.headers);
+        }
+
+        const idempotent = config.idempotent !== undefined ? config.idempotent : ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'].includes(config.method);
+        if (!idempotent && !policy.retryNonIdempotent) {
+            return null;
+        }
+
+        const retryable = response.status
+            ? policy.retryStatuses.includes(response.status)
+            : Boolean(response.error && policy.retryErrorCodes.includes(response.error.code));
+        if (!retryable) {
+            return null;
+        }
+
+        if (policy.respectRetryAfter && response.headers && response.headers['retry-after']) {
+            const retryAfter = response.headers['retry-after'];
+            const delay = isNaN(retryAfter) ? new Date(retryAfter).getTime() - Date.now() : Number(retryAfter) * 1000;
+            if (!isNaN(delay)) {
+                return Math.min(policy.maxDelay, Math.max(0, delay));
+            }
+        }
+
+        // Exponential backoff, with jitter so a batch of failures doesn't all come back at once
+        const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt));
+        return policy.jitter ? Math.round(backoff / 2 + Math.random() * backoff / 2) : backoff;
+    }
+
+    // Report a failed request: throw it, or log it, keep it in failures and return null
+    handleFailure(error, failures = null) {
+        for (const interceptor of this.interceptors) {
+            if (typeof interceptor.onError === 'function') {
+                Promise.resolve()
+                    .then(() => interceptor.onError(error))
+                    .catch(hookError => this.logger.error(`onError interceptor failed: ${hookError.message}`));
+            }
+        }
+        this.emit('requestError', error);
+
+        if (failures) {
+            failures.push(error);
+        }
+        if (this.errorMode === 'throw') {
+            throw error;
+        }
+        this.logger.error(error.message);
+        return null;
+    }
+
     // Function to calculate retry delay based on rate limit headers
     calculateRetryDelay(headers) {
         const remaining = headers['x-rate-limit-remaining'];
@@ -97,7 +448,7 @@ class CanvasMultiCurl {
 
         if (remaining < 0) {
             const backoffTime = Math.abs(remaining) * 150;
-            console.error(`Exceeded rate limit to the negative, backing off for ${backoffTime} milliseconds...`);
+            this.logger.warn(`Exceeded rate limit to the negative, backing off for ${backoffTime} milliseconds...`);
             return backoffTime;
         }
 
@@ -108,42 +459,273 @@ class CanvasMultiCurl {
         return 1000; // Default retry delay of 1 second
     }
 
-    // Generic multi-threaded function to get a list from an API endpoint
+    // A bucket's stats, plus the recent levels and adjustments updateRateLimit works them out from
+    createRateLimitState(concurrency, minTime) {
+        return {
+            stats: {
+                remaining: null, // last X-Rate-Limit-Remaining seen
+                averageRemaining: null, // smoothed bucket level
+                drainRate: null, // how fast the bucket is being used up, in units per second (negative means refilling)
+                averageCost: null, // smoothed X-Request-Cost
+                concurrency: concurrency,
+                minTime: minTime,
+                samples: 0,
+                updatedAt: null
+            },
+            history: [],
+            lastGrowth: 0,
+            lastShrink: 0
+        };
+    }
+
+    // Function to track the rate limit bucket from a response's headers and, if adaptiveRateLimit is on,
+    // shrink or grow concurrency and spacing to stay just under the throttle. slot is the token the response was
+    // for when there are several: the instance's stats follow every response, but only that token's limiter is
+    // adjusted, since the other tokens' buckets are none the emptier.
+    updateRateLimit(headers, slot = null) {
+        const remaining = headers ? parseFloat(headers['x-rate-limit-remaining']) : NaN;
+        if (isNaN(remaining)) return;
+
+        const now = Date.now();
+        const cost = parseFloat(headers['x-request-cost']);
+        this.trackRateLimit(this.rateLimit, remaining, cost, now);
+
+        if (this.tokens.length === 1) {
+            this.adjustRateLimit(this.rateLimit, this.limiter, this.adaptiveRateLimit && this.adaptiveRateLimit.maxConcurrent, now);
+        } else if (slot) {
+            this.trackRateLimit(slot.rateLimit, remaining, cost, now);
+            const maxConcurrent = this.adaptiveRateLimit && Math.max(1, Math.floor(this.adaptiveRateLimit.maxConcurrent / this.tokens.length));
+            this.adjustRateLimit(slot.rateLimit, slot.limiter, maxConcurrent, now);
+        }
+    }
+
+    // Add a reading to a bucket's stats
+    trackRateLimit(state, remaining, cost, now) {
+        const stats = state.stats;
+        stats.remaining = remaining;
+        stats.averageRemaining = stats.averageRemaining === null ? remaining : stats.averageRemaining * 0.8 + remaining * 0.2;
+        if (!isNaN(cost)) {
+            stats.averageCost = stats.averageCost === null ? cost : stats.averageCost * 0.8 + cost * 0.2;
+        }
+        stats.samples++;
+        stats.updatedAt = now;
+
+        // Keep the last few seconds of levels to see which way the bucket is heading
+        state.history.push({ at: now, remaining: remaining });
+        while (state.history.length > 2 && now - state.history[0].at > 5000) {
+            state.history.shift();
+        }
+        const oldest = state.history[0];
+        if (now > oldest.at) {
+            stats.drainRate = (oldest.remaining - remaining) / ((now - oldest.at) / 1000);
+        }
+    }
+
+    // With adaptiveRateLimit on, shrink or grow a limiter's concurrency (up to maxConcurrent) and spacing from its
+    // bucket's stats
+    adjustRateLimit(state, limiter, maxConcurrent, now) {
+        if (!this.adaptiveRateLimit) return;
+
+        const settings = this.adaptiveRateLimit;
+        const stats = state.stats;
+        const remaining = stats.remaining;
+        let { concurrency, minTime } = stats;
+
+        if (remaining < settings.lowWater) {
+            // Getting close to the throttle: back off hard
+            if (now - state.lastShrink >= settings.shrinkInterval) {
+                concurrency = Math.max(settings.minConcurrent, Math.floor(concurrency / 2));
+                minTime = Math.min(settings.maxMinTime, Math.max(minTime * 2, 50));
+                state.lastShrink = now;
+            }
+        } else if (remaining > settings.highWater && !(stats.drainRate > 0) && now - state.lastGrowth >= settings.growInterval) {
+            // Plenty left and not draining: speed back up a step at a time
+            concurrency = Math.min(maxConcurrent, concurrency + 1);
+            minTime = Math.max(settings.minTime, Math.floor(minTime * 0.8));
+            state.lastGrowth = now;
+        } else if (remaining < (settings.lowWater + settings.highWater) / 2 && stats.drainRate > 0) {
+            // In the middle but heading down: ease off a little
+            concurrency = Math.max(settings.minConcurrent, concurrency - 1);
+        }
+
+        if (concurrency !== stats.concurrency || minTime !== stats.minTime) {
+            stats.concurrency = concurrency;
+            stats.minTime = minTime;
+            limiter.updateSettings({ maxConcurrent: concurrency, minTime: minTime });
+            if (settings.onAdjust) {
+                settings.onAdjust(this.getRateLimitStats());
+            }
+        }
+    }
+
+    // Current estimated bucket level, drain rate, concurrency and spacing. With several tokens, concurrency is the
+    // total across them and tokens has each one's own stats, in the order they were given.
+    getRateLimitStats() {
+        if (this.tokens.length === 1) {
+            return { ...this.rateLimit.stats };
+        }
+        const tokens = this.tokens.map(slot => ({ ...slot.rateLimit.stats }));
+        return {
+            ...this.rateLimit.stats,
+            concurrency: tokens.reduce((total, stats) => total + stats.concurrency, 0),
+            tokens
+        };
+    }
+
+    // Generic multi-threaded function to get a list from an API endpoint.
+    // The returned array has a (non-enumerable) report property: { complete, failures } listing any pages that failed.
+    //
+    // Instead of vars you can pass an options object: { vars, perPage, maxBatchSize, batchDelay, item, signal,
+    // onProgress, partialOnAbort }. Aborting signal cancels everything queued or in flight and rejects with an
+    // AbortError, or, with partialOnAbort, resolves with what was gathered so far (report.aborted is true).
+    // onProgress is called as pages come in (see lib/progress.js for what it's given).
     async getList(url, vars = false, perPage = 100, maxBatchSize = 40, batchDelay = 300, item = null) {
+        const options = this.getListOptions(vars, { vars, perPage, maxBatchSize, batchDelay, item });
         const allResults = [];
+        const failures = [];
+
+        try {
+            for await (const results of this.iterate(url, options, undefined, undefined, undefined, failures)) {
+                this.addResults(allResults, results, options.item);
+            }
+            return this.attachReport(allResults, { complete: failures.length === 0, failures: failures });
+        } catch (error) {
+            if (error instanceof AbortError) {
+                if (options.partialOnAbort) {
+                    return this.attachReport(allResults, { complete: false, aborted: true, failures: failures });
+                }
+                throw error;
+            }
+            this.logger.error(`Error in getList: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // The list methods take their original positional arguments, or an options object in place of vars
+    getListOptions(varsOrOptions, positional) {
+        if (varsOrOptions && typeof varsOrOptions === 'object') {
+            return { ...positional, vars: false, ...varsOrOptions };
+        }
+        return positional;
+    }
+
+    // Abort controller when signal (from the caller) aborts; returns a function to stop listening
+    linkSignal(signal, controller) {
+        if (!signal) return () => {};
+        if (signal.aborted) {
+            controller.abort();
+            return () => {};
+        }
+        const onAbort = () => controller.abort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        return () => signal.removeEventListener('abort', onAbort);
+    }
+
+    // A queue for one list operation's requests, feeding the main limiter no more than it can run at once. Bottleneck
+    // can't take a single job back out of its queue, so without this a cancelled operation's waiting requests would
+    // still each take their minTime turn before anyone else's.
+    createOperationQueue(signal) {
+        const maxConcurrent = this.adaptiveRateLimit ? this.adaptiveRateLimit.maxConcurrent : this.maxConcurrent; // across all tokens
+        const queue = new Bottleneck({ maxConcurrent }).chain(this.limiter);
+        this.operationQueues.set(signal, queue);
+        return queue;
+    }
+
+    // Drop whatever an operation still has waiting (anything already handed to the main limiter finds its signal
+    // aborted and returns straight away)
+    stopOperationQueue(signal) {
+        const queue = this.operationQueues.get(signal);
+        if (queue) {
+            this.operationQueues.delete(signal);
+            queue.stop({ dropWaitingJobs: true }).catch(() => {});
+        }
+    }
+
+    // Resolve with null as soon as signal aborts instead of waiting for promise (which finishes, or not, on its own)
+    whenNotAborted(promise, signal) {
+        if (!signal) return promise;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => resolve(null);
+            signal.addEventListener('abort', onAbort, { once: true });
+            promise.then(value => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(value);
+            }, error => {
+                signal.removeEventListener('abort', onAbort);
+                reject(error);
+            });
+        });
+    }
+
+    /*
+    Streaming version of getList: yields each page of results as soon as it (and the pages before it) arrive,
+    instead of holding the whole list in memory. Uses the same speculative page ramp-up, bookmark ranges and
+    retries as getList. Breaking out of the loop cancels any page requests that are still queued or in flight.
+
+    for await (const page of canvas.iterate('accounts/1/enrollments')) { ... }
+
+    Takes the same options object as getList in place of vars; aborting its signal makes the loop throw an AbortError.
+    */
+    async *iterate(url, vars = false, perPage = 100, maxBatchSize = 40, batchDelay = 300, failures = null) {
+        const options = this.getListOptions(vars, { vars, perPage, maxBatchSize, batchDelay });
+        ({ vars, perPage, maxBatchSize, batchDelay } = options);
+        if (options.asUser !== undefined) {
+            url = this.addAsUser(url, options.asUser);
+            vars = true;
+        }
+
+        const controller = new AbortController();
+        EventEmitter.setMaxListeners(0, controller.signal); // every queued request and delay listens for it
+        this.createOperationQueue(controller.signal);
+        const unlink = this.linkSignal(options.signal, controller);
+        const checkAborted = () => {
+            if (options.signal && options.signal.aborted) {
+                throw new AbortError(`Stopped fetching ${url}`, { url, method: 'GET' });
+            }
+        };
+        const pageFailures = failures || [];
+        const progress = new ListProgress(this, controller.signal, options.onProgress, 1);
+        progress.failures = pageFailures;
         let page = 1;
         const preparedUrl = `${url}${vars ? '&' : '?'}`;
         const initialUrl = `${preparedUrl}page=${page}&per_page=${perPage}`;
 
         try {
             // Initial request to determine total pages
-            const initialResponse = await this.processRequest(this.createRequestConfig(initialUrl, 'GET'), {});
-
-            if (!initialResponse || !initialResponse.data) {
-                throw new Error('Failed to fetch initial data.');
+            const initialConfig = this.createListRequestConfig(initialUrl, controller.signal);
+            const initialResponse = await this.processRequest(initialConfig, pageFailures);
+            checkAborted();
+
+            if (!initialResponse) {
+                // Without the first page there's nothing to go on, so this fails the whole list even when collecting
+                throw pageFailures[pageFailures.length - 1] || new UnexpectedResponseError(`Failed to fetch initial data from ${initialConfig.url}`, {
+                    url: initialConfig.url,
+                    method: initialConfig.method
+                });
+            }
+            if (!Array.isArray(initialResponse.data)) {
+                throw new UnexpectedResponseError(`Expected a list from ${initialConfig.url} but got ${typeof initialResponse.data}`, {
+                    url: initialConfig.url,
+                    method: initialConfig.method,
+                    status: initialResponse.status,
+                    body: initialResponse.data
+                });
             }
 
             const { headers, data: initialResults } = initialResponse;
 
             // Process initial results
-            if (!item) {
-                allResults.push(...initialResults);
-            } else {
-                initialResults.forEach(initialResult => {
-                    if (initialResult[item] && initialResult.id) {
-                        if (!allResults[initialResult.id]) {
-                            allResults[initialResult.id] = {};
-                        }
-                        allResults[initialResult.id][item] = initialResult[item];
-                    }
-                });
-            }
+            yield initialResults;
 
             // Determine total pages or bookmark-based pagination
             let totalPages = 1;
             let lastPageKnown = false;
             let nextbookmarkURL = false;
             let queryParams = '';
+            progress.getPages = () => ({
+                knownPages: lastPageKnown ? Number(totalPages) : 0,
+                speculativePages: lastPageKnown ? 0 : Number(totalPages)
+            });
 
             const lastPageUrl = this.getPageUrl(headers['link'], 'last');
             if (lastPageUrl) {
@@ -163,7 +745,15 @@ class CanvasMultiCurl {
                   let nextPage = queryParams.get('page');
                   if (nextPage.includes('bookmark'))
                   {
-                    //ugh it's a bookmark, we must go step by step
+                    //it's a bookmark! if we can decode it, we can still speculate by splitting the rest into ID ranges
+                    const plan = this.planBookmarkRanges(nextPageUrl, initialResults, perPage);
+                    if (plan) {
+                        yield* this.iterateBookmarkRanges(nextPageUrl, plan, controller.signal, pageFailures);
+                        checkAborted();
+                        progress.itemDone();
+                        return;
+                    }
+                    //ugh it's a bookmark we don't understand, we must go step by step
                     nextbookmarkURL = nextPageUrl;
                     totalPages = 2;
                   } else {
@@ -175,55 +765,45 @@ class CanvasMultiCurl {
             }
 
             if (totalPages == 1) {
-                return allResults;
+                progress.itemDone();
+                return;
             }
 
             // Multi-threaded batch processing
-            let retryCounts = {};
             // if we keep going, there is more than 1 page, so let's start on page 2
             page = 2;
-            while (page <= totalPages || Object.keys(retryCounts).length > 0) {
+            while (page <= totalPages) {
                 let alreadyIncreased = false;
                 const batchRequests = [];
                 if (!nextbookmarkURL) {
                     for (let i = 0; i < maxBatchSize && page <= totalPages; i++, page++) {
                         const batchUrl = `${preparedUrl}page=${page}&per_page=${perPage}`;
-                        batchRequests.push(this.processRequest(this.createRequestConfig(batchUrl, 'GET'), retryCounts));
+                        this.emit('pageDiscovered', { url: batchUrl, page, item: null });
+                        batchRequests.push(this.processRequest(this.createListRequestConfig(batchUrl, controller.signal), pageFailures));
                     }
                 } else {
-                    batchRequests.push(this.processRequest(this.createRequestConfig(nextbookmarkURL, 'GET', null, null, true), retryCounts));
+                    batchRequests.push(this.processRequest(this.createListRequestConfig(nextbookmarkURL, controller.signal, true), pageFailures));
                     page++;
                 }
 
-                // Wait for all the requests in this batch to complete
-                const responses = await Promise.all(batchRequests);
+                // With errorMode 'throw' the loop below stops at the first failure, so don't leave the rest unhandled
+                batchRequests.forEach(batchRequest => batchRequest.catch(() => {}));
 
-                // Process the responses after all requests have completed
-                for (const response of responses) {
+                // Process the responses in page order as they complete, while the rest of the batch is still running
+                for (const batchRequest of batchRequests) {
+                    const response = await batchRequest;
+                    checkAborted();
                     if (response && response.data) {
                         const results = response.data;
 
-                        if (!item) {
-                            allResults.push(...results);
-                        } else {
-                            results.forEach(result => {
-                                if (result[item] && result.id) {
-                                    if (!allResults[result.id]) {
-                                        allResults[result.id] = {};
-                                    }
-                                    allResults[result.id][item] = result[item];
-                                }
-                            });
-                        }
-
                         // Handle pagination updates
                         if (!lastPageKnown && results.length >= perPage) {
                           //last page might show up later
-                          const lastPageUrl = this.getPageUrl(headers['link'], 'last');
+                          const lastPageUrl = this.getPageUrl(response.headers['link'], 'last');
                           if (lastPageUrl) {
                               queryParams = new URLSearchParams(lastPageUrl.split('?')[1]);
-                              lastPage = queryParams.get('page');
-                              if(!lastPage.includes('bookmark'))
+                              const lastPage = queryParams.get('page') || '';
+                              if(!lastPage.includes('bookmark') && lastPage != 'first')
                               {
                                 totalPages = parseInt(queryParams.get('page'));
                                 lastPageKnown = true;
@@ -261,39 +841,246 @@ class CanvasMultiCurl {
                             lastPageKnown = true;
                           }
                         }
+
+                        yield results;
                     }
                 }
 
                 // Delay before processing the next batch
-                await new Promise(resolve => setTimeout(resolve, batchDelay));
+                await this.sleep(batchDelay, controller.signal);
+                checkAborted();
             }
+            progress.itemDone();
+        } finally {
+            // Cancel anything still queued or in flight if the caller stopped early (or something failed)
+            controller.abort();
+            this.stopOperationQueue(controller.signal);
+            unlink();
+            progress.stop();
+        }
+    }
+
+    // setTimeout as a promise that finishes early if signal aborts
+    sleep(ms, signal = null) {
+        return new Promise(resolve => {
+            if (signal && signal.aborted) return resolve();
+            const onAbort = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    // Helper function to create a GET config for a list page that can be cancelled
+    createListRequestConfig(pageUrl, signal, bookmark = false) {
+        const config = this.createRequestConfig(pageUrl, 'GET', null, null, bookmark);
+        config.signal = signal;
+        return config;
+    }
+
+    // A list request for one of iterateFromArray's items, which remembers the item so its results can't be credited
+    // to another one (working it out from the URL goes wrong when one item's ID appears in another's URL)
+    createItemRequestConfig(pageUrl, item, signal, bookmark = false) {
+        const config = this.createListRequestConfig(pageUrl, signal, bookmark);
+        config.item = item;
+        return config;
+    }
+
+    // Which page a list response is: from its rel="current" link, or the page it asked for, or else the first
+    getCurrentPage(response) {
+        const currentPageUrl = this.getPageUrl(response.headers['link'], 'current') || (response.config && response.config.url) || '';
+        const page = parseInt(new URLSearchParams(currentPageUrl.split('?')[1]).get('page'));
+        return isNaN(page) ? 1 : page;
+    }
+
+    // Helper function to add a page of results to a list, or just one field of each result keyed by id if item is set
+    addResults(allResults, results, item = null) {
+        if (!item) {
+            allResults.push(...results);
+        } else {
+            results.forEach(result => {
+                if (result[item] && result.id) {
+                    if (!allResults[result.id]) {
+                        allResults[result.id] = {};
+                    }
+                    allResults[result.id][item] = result[item];
+                }
+            });
+        }
+    }
 
-            return allResults;
+    // Helper function to decode a Canvas bookmark page value (bookmark:<url-safe Base64 JSON>)
+    decodeBookmark(pageValue) {
+        if (!pageValue || !pageValue.startsWith('bookmark:')) return null;
+        try {
+            const json = Buffer.from(pageValue.slice('bookmark:'.length).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+            return JSON.parse(json);
         } catch (error) {
-            console.error(`Error in getList: ${error.message}`);
-            throw error;
+            return null;
         }
     }
 
-    // Function to handle multiple concurrent requests using processRequest
-    async handleConcurrentRequests(requestConfigs) {
-        const retryCounts = {}; // Track retries for each request
+    // Helper function to encode a value the way Canvas encodes bookmarks
+    encodeBookmark(value) {
+        const encoded = Buffer.from(JSON.stringify(value)).toString('base64')
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+        return `bookmark:${encoded}`;
+    }
+
+    // Returns the ID a bookmark URL points at, or null if the list isn't simply sorted by ID
+    getBookmarkId(pageUrl) {
+        const bookmark = this.decodeBookmark(new URL(pageUrl).searchParams.get('page'));
+        if (Array.isArray(bookmark)) {
+            return (bookmark.length === 1 && Number.isInteger(bookmark[0])) ? bookmark[0] : null;
+        }
+        return Number.isInteger(bookmark) ? bookmark : null;
+    }
+
+    // Returns a copy of a bookmark URL that starts right after the given ID
+    setBookmarkId(pageUrl, id) {
+        const url = new URL(pageUrl);
+        const bookmark = this.decodeBookmark(url.searchParams.get('page'));
+        url.searchParams.set('page', this.encodeBookmark(Array.isArray(bookmark) ? [id] : id));
+        return url.toString();
+    }
+
+    /*
+    Speculative concurrency for bookmarks. Canvas bookmarks are Base64 JSON of the sort key, so when a list is
+    sorted by ID alone we can write our own bookmarks: the remaining IDs get split into ranges that are each walked
+    page by page at the same time, and merged back together in order. Returns null if the bookmark isn't a plain
+    ID (e.g. sorted by name), so the caller can fall back to walking the whole list one page at a time.
+    */
+    async getBookmarkRanges(nextPageUrl, firstResults, perPage, signal = null, failures = null) {
+        const plan = this.planBookmarkRanges(nextPageUrl, firstResults, perPage);
+        if (!plan) return null;
+
+        const allResults = [];
+        for await (const results of this.iterateBookmarkRanges(nextPageUrl, plan, signal, failures)) {
+            allResults.push(...results);
+        }
+        return allResults;
+    }
+
+    // Works out where the bookmark ranges start and how wide they are, or returns null if they can't be used
+    planBookmarkRanges(nextPageUrl, firstResults, perPage) {
+        if (!this.bookmarkRanges || this.bookmarkRanges < 2) return null;
+
+        const lastId = this.getBookmarkId(nextPageUrl);
+        const ids = firstResults.map(result => result && result.id);
+        if (lastId === null || !ids.length || !ids.every(Number.isInteger) || ids[ids.length - 1] !== lastId) {
+            return null;
+        }
+        for (let i = 1; i < ids.length; i++) {
+            if (ids[i] <= ids[i - 1]) return null; // not sorted by ID after all
+        }
+
+        // Use how spread out the IDs on the first page were to guess how wide a range of a few pages should be
+        const idsPerPage = Math.max(perPage, Math.ceil((lastId - ids[0] + 1) * perPage / ids.length));
+        return {
+            startId: lastId,
+            rangeSize: idsPerPage * this.bookmarkPagesPerRange,
+            seenIds: ids
+        };
+    }
+
+    // Yields the results of each set of bookmark ranges, in ID order, as each set finishes
+    async *iterateBookmarkRanges(nextPageUrl, plan, signal = null, failures = null) {
+        const { rangeSize } = plan;
+        const seen = new Set(plan.seenIds);
+        let startId = plan.startId;
+        let reachedEnd = false;
+
+        while (!reachedEnd && !(signal && signal.aborted)) {
+            const ranges = [];
+            for (let i = 0; i < this.bookmarkRanges; i++) {
+                const rangeStart = startId + i * rangeSize;
+                ranges.push(this.walkBookmarkRange(nextPageUrl, rangeStart, rangeStart + rangeSize, signal, failures));
+            }
+            const rangeResults = await Promise.all(ranges);
+
+            const newResults = [];
+            for (const range of rangeResults) {
+                for (const result of range.results) {
+                    if (!seen.has(result.id)) {
+                        seen.add(result.id);
+                        newResults.push(result);
+                    }
+                }
+                if (range.reachedEnd) reachedEnd = true;
+            }
+            if (newResults.length) {
+                yield newResults;
+            }
+
+            if (rangeResults.every(range => range.failed)) {
+                this.logger.warn(`Giving up on bookmark ranges for ${nextPageUrl}`);
+                break;
+            }
+
+            // Start the next set of ranges after this one, skipping ahead if there's a gap in the IDs
+            const lastRange = rangeResults[rangeResults.length - 1];
+            startId += this.bookmarkRanges * rangeSize;
+            if (lastRange.nextId) {
+                startId = Math.max(startId, lastRange.nextId - 1);
+            }
+        }
+    }
+
+    // Walk bookmark pages one at a time, keeping results with IDs after startId up to and including endId
+    async walkBookmarkRange(pageUrl, startId, endId, signal = null, failures = null) {
+        const results = [];
+        let url = this.setBookmarkId(pageUrl, startId);
+
+        while (url) {
+            const response = await this.processRequest(this.createListRequestConfig(url, signal, true), failures);
+            if (!response || !Array.isArray(response.data)) {
+                return { results, reachedEnd: false, nextId: null, failed: true };
+            }
+
+            for (const result of response.data) {
+                if (result.id > endId) {
+                    // We've walked into the next range
+                    return { results, reachedEnd: false, nextId: result.id, failed: false };
+                }
+                results.push(result);
+            }
 
+            url = this.getPageUrl(response.headers['link'], 'next');
+        }
+
+        return { results, reachedEnd: true, nextId: null, failed: false };
+    }
+
+    // Function to handle multiple concurrent requests using processRequest
+    async handleConcurrentRequests(requestConfigs, failures = null) {
         try {
             // Map each requestConfig to a call to processRequest
             const promises = requestConfigs.map(config =>
-                this.processRequest(config, retryCounts)
+                this.processRequest(config, failures)
             );
 
             // Wait for all requests to complete concurrently
             const results = await Promise.all(promises);
             return results;
         } catch (error) {
-            console.error('Error during concurrent requests:', error.message);
+            this.logger.error('Error during concurrent requests:', error.message);
             throw error;
         }
     }
 
+    // Attach a report of failed requests to a list result without it showing up when the result is looped over or serialized
+    attachReport(results, report) {
+        Object.defineProperty(results, 'report', { value: report, enumerable: false, configurable: true });
+        return results;
+    }
+
     // Helper function to extract page URL from Link header
     getPageUrl(linkHeader, rel) {
         if (!linkHeader) return null;
@@ -302,10 +1089,84 @@ class CanvasMultiCurl {
         return match ? match[1] : null;
     }
 
-    // Function to make an HTTP request
+    // Function to make an HTTP request, running it past any interceptors and telling request/response listeners
     async makeRequest(config) {
+        if (!config.intercepted && this.interceptors.length) {
+            config = await this.interceptRequest(config);
+        }
+
+        this.emit('request', config);
+        const started = Date.now();
+        let response = await this.sendRequest(config);
+        if (response && response.status) {
+            response = await this.runInterceptors('afterResponse', response);
+            this.emit('response', response, Date.now() - started);
+        }
+
+        // An expired or revoked OAuth2 token: get a new one and send the request again (once, and without counting
+        // it as a retry). Providers without invalidate() can't be told, so the 401 is reported as it is.
+        if (response && response.authToken && !config.reauthorized && typeof this.auth.invalidate === 'function' &&
+            auths.isTokenRejected(response)) {
+            this.auth.invalidate(response.authToken);
+            this.logger.info(`Access token rejected, refreshing it and sending ${config.url} again`);
+            return this.makeRequest({ ...config, reauthorized: true });
+        }
+        return response;
+    }
+
+    // Send a request (or answer it from the dry run or cache), keeping the cache and journal up to date
+    async sendRequest(config) {
+        if (this.dryRun && this.isWrite(config)) {
+            return this.recordDryRun(config);
+        }
+
+        // Use the cached copy while it's fresh, and after that only if Canvas says it hasn't changed
+        const cached = this.cache ? await this.cache.lookup(config) : null;
+        if (cached && cached.fresh) {
+            this.cache.stats.hits++;
+            return this.cache.toResponse(cached.entry, config);
+        }
+        const conditionalHeaders = this.cache && this.cache.getConditionalHeaders(cached);
+
+        let authToken = null;
+        if (config.authIdentity && this.auth) {
+            try {
+                authToken = await this.auth.getAccessToken();
+            } catch (error) {
+                return { status: null, headers: {}, data: null, config: config, authError: error };
+            }
+        }
+
         try {
-            const response = await axios(config);
+            // Bodies that can't be reused between retries (uploads) are created fresh for each attempt
+            let axiosConfig = config.createData ? { ...config, data: config.createData() } : config;
+            if (authToken) {
+                axiosConfig = { ...axiosConfig, headers: { ...axiosConfig.headers, Authorization: `Bearer ${authToken}` } };
+            }
+            if (conditionalHeaders) {
+                axiosConfig = {
+                    ...axiosConfig,
+                    headers: { ...axiosConfig.headers, ...conditionalHeaders },
+                    validateStatus: status => (status >= 200 && status < 300) || status === 304
+                };
+            }
+
+            const response = await axios(axiosConfig);
+            this.updateRateLimit(response.headers, config.tokenSlot);
+            if (response.status === 304) {
+                return this.cache.refresh(config, cached);
+            }
+            if (this.cache) {
+                if (this.cache.isCacheable(config)) {
+                    this.cache.stats.misses++;
+                    await this.cache.save(config, response);
+                } else if (this.isWrite(config)) {
+                    await this.cache.invalidate(config.url);
+                }
+            }
+            if (this.isJournaled(config)) {
+                await this.appendJournal(config, response.status, response.data);
+            }
             return {
                 status: response.status,
                 headers: response.headers,
@@ -313,24 +1174,512 @@ class CanvasMultiCurl {
                 config: config
             };
         } catch (error) {
-            console.error(`${error.response.status} error during request to ${config.url}: ${error.response.data.message}`);
+            if (axios.isCancel(error)) {
+                return null; // cancelled on purpose, e.g. by breaking out of iterate()
+            }
+            if (error.response) {
+                this.updateRateLimit(error.response.headers, config.tokenSlot);
+            }
+            // No response means a network error or timeout; keep the error so processRequest can report it
             return {
                 status: error.response ? error.response.status : null,
-                headers: error.response ? error.response.headers : null,
+                headers: error.response ? error.response.headers : {},
                 data: error.response ? error.response.data : null,
-                config: config
+                config: config,
+                error: error,
+                authToken: authToken
             };
         }
     }
 
-    // Wrapper function to combine createRequestConfig and makeRequest
-    async request(url, method = 'GET', data = null, prefix = null) {
-        const config = this.createRequestConfig(`${url}`, method, data, prefix);
-        return this.makeRequest(config);
+    // Wrapper function to combine createRequestConfig and processRequest, so it waits its turn in the limiter, is
+    // retried and reports failures like any other request. options.asUser makes the request as that user
+    async request(url, method = 'GET', data = null, prefix = null, options = {}) {
+        return this.processRequest(this.createRequestConfig(`${url}`, method, data, prefix, false, options));
     }
 
-    //get submissions
-    async getSubmissions(courseid, assignmentids, students = false, workflow_state = '') {
+    // Whether a request changes anything in Canvas (GraphQL queries are POSTs, but only read)
+    isWrite(config) {
+        return !['GET', 'HEAD', 'OPTIONS'].includes(config.method) && !config.readOnly;
+    }
+
+    // Whether a URL is on this Canvas instance, rather than somewhere like the file storage uploads go to
+    isCanvasUrl(url) {
+        return url === this.domain || url.startsWith(`${this.domain}/`);
+    }
+
+    // Whether a write goes in the journal: anything sent to Canvas itself, apart from rollback's own requests
+    isJournaled(config) {
+        return Boolean(this.journal) && !config.noJournal && this.isWrite(config) && this.isCanvasUrl(config.url);
+    }
+
+    // Record a write instead of sending it, and answer with something that looks like a finished success
+    async recordDryRun(config) {
+        const entry = { method: config.method, url: config.url, data: this.describeBody(config) };
+        this.dryRunLog.push(entry);
+        this.logger.info(`[dry run] ${config.method} ${config.url}`);
+        if (this.isJournaled(config)) {
+            await this.appendJournal(config, null, null, true);
+        }
+        return {
+            status: 200,
+            headers: {},
+            data: { dry_run: true, workflow_state: 'completed' },
+            config: config,
+            dryRun: true
+        };
+    }
+
+    // Helper function to keep raw bodies (uploads, SIS files) out of the journal
+    describeBody(config) {
+        const data = config.data;
+        if (config.createData || Buffer.isBuffer(data) || (data && typeof data.pipe === 'function')) {
+            return { binary: true };
+        }
+        return data === undefined ? null : data;
+    }
+
+    // Add an executed (or, in dry-run mode, recorded) write to the journal; a journal failure never fails the write
+    async appendJournal(config, status, responseData, dryRun = false) {
+        const entry = {
+            at: new Date().toISOString(),
+            method: config.method,
+            url: config.url,
+            data: this.describeBody(config),
+            status: status,
+            previous: config.journalPrevious || null,
+            createdId: (config.method === 'POST' && responseData && responseData.id) || null,
+            dryRun: dryRun
+        };
+        try {
+            await this.journal.append(entry);
+        } catch (error) {
+            this.logger.error(`Couldn't write journal entry for ${config.method} ${config.url}: ${error.message}`);
+        }
+    }
+
+    // Fetch what a write is about to change, where that's possible: prior grades for update_grades,
+    // the resource itself for PUTs and DELETEs
+    async capturePrevious(config) {
+        try {
+            const gradeMatch = config.url.match(/\/courses\/([^/]+)\/assignments\/([^/]+)\/submissions\/update_grades/);
+            if (gradeMatch && config.data && config.data.grade_data) {
+                const submissions = await this.getSubmissions(gradeMatch[1], [gradeMatch[2]], Object.keys(config.data.grade_data));
+                const grades = {};
+                for (const submission of submissions) {
+                    grades[submission.user_id] = { grade: submission.grade, score: submission.score, excused: Boolean(submission.excused) };
+                }
+                return { grades };
+            }
+            if (['PUT', 'DELETE'].includes(config.method)) {
+                const previousConfig = this.createRequestConfig(config.url.split('?')[0], 'GET', null, null, true);
+                previousConfig.noCache = true; // what's there now, not what was there when it was cached
+                const response = await this.processRequest(previousConfig);
+                return response ? { resource: response.data } : null;
+            }
+        } catch (error) {
+            this.logger.warn(`Couldn't fetch previous value for ${config.method} ${config.url}: ${error.message}`);
+        }
+        return null;
+    }
+
+    /*
+    Undo the writes in a journal (its entries, or the path of a journal file), newest first: grades go back to
+    what they were, PUTs put back the previous values of the fields they changed, and things created by POSTs are
+    deleted where the API can delete them (see journal.deleteUrlFor). Writes whose previous value couldn't be
+    fetched, other POSTs (submissions, content migrations, SIS imports...) and DELETEs are skipped. The undoing
+    isn't journaled itself. Resolves with { rolledBack, skipped: [{ entry, reason }], failed: [{ entry, error }] }.
+    */
+    async rollback(journal) {
+        const entries = typeof journal === 'string' ? await journals.readJournal(journal) : journal;
+        const report = { rolledBack: [], skipped: [], failed: [] };
+
+        for (const entry of entries.slice().reverse()) {
+            if (entry.dryRun || !entry.status || entry.status >= 400) {
+                continue; // never happened
+            }
+
+            try {
+                const gradeMatch = entry.url.match(/\/courses\/([^/]+)\/assignments\/([^/]+)\/submissions\/update_grades/);
+                let config = null;
+
+                if (gradeMatch && entry.previous && entry.previous.grades) {
+                    const gradeData = {};
+                    for (const userId of Object.keys(entry.data.grade_data)) {
+                        const previous = entry.previous.grades[userId];
+                        gradeData[userId] = (previous && previous.excused) ? { excuse: true } : { posted_grade: previous && previous.grade !== null ? previous.grade : '' };
+                    }
+                    config = this.createRequestConfig(entry.url, 'POST', { grade_data: gradeData }, null, true);
+                } else if (entry.method === 'PUT' && entry.previous && entry.previous.resource && entry.data) {
+                    // Only put back the fields the write changed, wrapped the same way (e.g. { assignment: {...} })
+                    const previous = entry.previous.resource;
+                    const data = {};
+                    for (const [key, value] of Object.entries(entry.data)) {
+                        if (value && typeof value === 'object' && !Array.isArray(value)) {
+                            data[key] = {};
+                            Object.keys(value).forEach(field => { data[key][field] = previous[field]; });
+                        } else {
+                            data[key] = previous[key];
+                        }
+                    }
+                    config = this.createRequestConfig(entry.url, 'PUT', data, null, true);
+                } else if (entry.method === 'POST' && !gradeMatch) {
+                    const deleteUrl = journals.deleteUrlFor(entry, `${this.domain}/api/v1`);
+                    if (!deleteUrl) {
+                        report.skipped.push({ entry, reason: "what it created can't be deleted through the API" });
+                        continue;
+                    }
+                    config = this.createRequestConfig(deleteUrl, 'DELETE', null, null, true);
+                }
+
+                if (!config) {
+                    report.skipped.push({ entry, reason: entry.method === 'DELETE' ? "deletes can't be undone" : 'no previous value recorded' });
+                    continue;
+                }
+                config.noJournal = true;
+
+                const failures = [];
+                const response = await this.processRequest(config, failures);
+                if (response) {
+                    report.rolledBack.push(entry);
+                } else {
+                    report.failed.push({ entry, error: failures[failures.length - 1] });
+                }
+            } catch (error) {
+                report.failed.push({ entry, error });
+            }
+        }
+
+        return report;
+    }
+
+    // Run a query (or mutation) against Canvas's GraphQL API with the same token, limiter and retry logic as
+    // REST calls. Resolves with the response's data; a response with errors is reported as a GraphQLError.
+    async graphql(query, variables = {}, options = {}) {
+        const config = this.createRequestConfig(`${this.domain}/api/graphql`, 'POST', { query, variables }, null, true);
+        // Queries only read, so they're as safe to retry as GETs; mutations aren't
+        config.idempotent = !/^\s*mutation\b/.test(query);
+        config.readOnly = config.idempotent;
+        if (options.signal) {
+            config.signal = options.signal;
+        }
+
+        const response = await this.processRequest(config, options.failures || null);
+        if (!response) {
+            return null;
+        }
+        if (response.data && Array.isArray(response.data.errors) && response.data.errors.length) {
+            const messages = response.data.errors.map(error => error.message).join('; ');
+            return this.handleFailure(new GraphQLError(`GraphQL error for ${config.url}: ${messages}`, {
+                url: config.url,
+                method: config.method,
+                status: response.status,
+                body: response.data
+            }), options.failures || null);
+        }
+        return response.data ? response.data.data : null;
+    }
+
+    /*
+    Follow a GraphQL connection's pageInfo { endCursor hasNextPage } until the end and return all its nodes.
+    The query takes the cursor as a variable ($cursor unless cursorVariable says otherwise), and path is where
+    the connection is in the data, e.g. 'course.submissionsConnection'. Connections can return nodes or edges { node }.
+
+    Pass items (and itemVariable) to run the query once per item at the same time, like getAllResultsFromArray,
+    and get back { item: nodes }. Either way the result has a (non-enumerable) report property like getList's.
+    */
+    async graphqlPaginate(query, variables = {}, options = {}) {
+        const { items = null, itemVariable = 'id' } = options;
+        const failures = [];
+
+        if (!items) {
+            const allResults = [];
+            for await (const nodes of this.iterateGraphql(query, variables, { ...options, failures })) {
+                allResults.push(...nodes);
+            }
+            return this.attachReport(allResults, { complete: failures.length === 0, failures: failures });
+        }
+
+        const allResults = {};
+        const failedItems = [];
+        await Promise.all(items.map(async item => {
+            const itemFailures = [];
+            allResults[item] = [];
+            try {
+                for await (const nodes of this.iterateGraphql(query, { ...variables, [itemVariable]: item }, { ...options, failures: itemFailures })) {
+                    allResults[item].push(...nodes);
+                }
+            } finally {
+                failures.push(...itemFailures);
+                if (itemFailures.length) {
+                    failedItems.push(item);
+                }
+            }
+        }));
+        return this.attachReport(allResults, { complete: failures.length === 0, failures: failures, failedItems: failedItems });
+    }
+
+    // Streaming version of graphqlPaginate (for a single query): yields each page's nodes as it arrives
+    async *iterateGraphql(query, variables = {}, options = {}) {
+        const { path, cursorVariable = 'cursor' } = options;
+        let cursor = variables[cursorVariable] || null;
+
+        while (true) {
+            const data = await this.graphql(query, { ...variables, [cursorVariable]: cursor }, options);
+            if (!data) {
+                return; // already reported
+            }
+
+            // Canvas answers null for things that don't exist or can't be seen (course: null), which is reported
+            // like any other failure rather than ending a whole fan-out
+            const connection = String(path || '').split('.').filter(Boolean).reduce((value, key) => value ? value[key] : undefined, data);
+            if (!connection) {
+                this.handleFailure(new UnexpectedResponseError(`No connection found at '${path}' in GraphQL response`, {
+                    url: `${this.domain}/api/graphql`,
+                    method: 'POST',
+                    body: data
+                }), options.failures || null);
+                return;
+            }
+
+            yield connection.nodes || (connection.edges || []).map(edge => edge.node);
+
+            const pageInfo = connection.pageInfo || {};
+            if (!pageInfo.hasNextPage || !pageInfo.endCursor) {
+                return;
+            }
+            cursor = pageInfo.endCursor;
+        }
+    }
+
+    /*
+    Run a Canvas SIS import. filesOrCsvStrings can be CSV text, a path to a .csv or .zip file, a Buffer, an
+    array of any of those, or { 'users.csv': csvText, ... }; more than one file gets zipped up automatically.
+    options are the sis_imports parameters in camelCase or Canvas's own snake_case (diffingDataSetIdentifier,
+    batchMode, batchModeTermId, overrideSisStickiness, changeThreshold, etc.), plus wait (default true, or
+    waitForProgress-style options) to poll the import until it's done.
+
+    Resolves with { import, state, succeeded, warnings: [{ file, message }], errors: [{ file, message }] }.
+    */
+    async sisImport(accountId, filesOrCsvStrings, options = {}) {
+        const { wait = true, ...importOptions } = options;
+        const { body, contentType, extension } = this.prepareSisPayload(filesOrCsvStrings);
+
+        const params = new URLSearchParams({ import_type: 'instructure_csv', extension: extension, ...this.toCanvasParams(importOptions) });
+
+        const config = this.createRequestConfig(`accounts/${accountId}/sis_imports?${params}`, 'POST', body, null, false, {
+            headers: { 'Content-Type': contentType }
+        });
+        const response = await this.processRequest(config);
+        if (!response) {
+            return null;
+        }
+
+        let sisImport = response.data;
+        if (wait && !response.dryRun) {
+            sisImport = await this.waitForJob(sisImport, `accounts/${accountId}/sis_imports/${sisImport.id}`, {
+                isFinished: job => !['initializing', 'created', 'importing', 'cleanup_batch', 'restoring'].includes(job.workflow_state),
+                isFailed: () => false, // failed imports still resolve, so their errors can be read
+                getCompletion: job => job.progress,
+                describeFailure: job => `SIS import ${job.id} ${job.workflow_state}`
+            }, typeof wait === 'object' ? wait : {});
+        }
+
+        const parseMessages = messages => (messages || []).map(([file, message]) => ({ file, message }));
+        return {
+            import: sisImport,
+            state: sisImport.workflow_state,
+            succeeded: response.dryRun || ['imported', 'imported_with_messages'].includes(sisImport.workflow_state),
+            warnings: parseMessages(sisImport.processing_warnings),
+            errors: parseMessages(sisImport.processing_errors)
+        };
+    }
+
+    // Helper function to turn camelCase options into Canvas's snake_case parameters, dropping empty ones
+    toCanvasParams(options) {
+        const params = {};
+        for (const [key, value] of Object.entries(options)) {
+            if (value !== undefined && value !== null) {
+                params[key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`)] = value;
+            }
+        }
+        return params;
+    }
+
+    // Helper function to turn whatever sisImport was given into one CSV or zip body
+    prepareSisPayload(filesOrCsvStrings) {
+        const files = [];
+        const addFile = (name, data) => files.push({ name, data });
+
+        const inputs = Array.isArray(filesOrCsvStrings) ? filesOrCsvStrings : [filesOrCsvStrings];
+        inputs.forEach((input, index) => {
+            if (Buffer.isBuffer(input)) {
+                addFile(`import_${index + 1}.csv`, input);
+            } else if (typeof input === 'string' && !input.includes('\n') && fs.existsSync(input)) {
+                addFile(path.basename(input), fs.readFileSync(input));
+            } else if (typeof input === 'string') {
+                addFile(`import_${index + 1}.csv`, input);
+            } else if (input && typeof input === 'object') {
+                Object.entries(input).forEach(([name, data]) => addFile(name, data));
+            }
+        });
+
+        if (!files.length) {
+            throw new TypeError('sisImport needs at least one CSV string, file path or Buffer');
+        }
+
+        const isZip = data => Buffer.isBuffer(data) && data.readUInt32LE(0) === 0x04034b50;
+        if (files.length === 1 && isZip(files[0].data)) {
+            return { body: files[0].data, contentType: 'application/zip', extension: 'zip' };
+        }
+        if (files.length === 1) {
+            return { body: Buffer.from(files[0].data), contentType: 'text/csv', extension: 'csv' };
+        }
+        if (files.some(file => isZip(file.data))) {
+            throw new TypeError('sisImport can only take a zip file on its own');
+        }
+        return { body: createZip(files), contentType: 'application/zip', extension: 'zip' };
+    }
+
+    /*
+    Upload a file using Canvas's three-step flow: ask Canvas for an upload token, send the file as multipart data
+    to the upload_url it returns, then follow the confirmation to get the final File object.
+
+    target is where the file goes: { course }, { user } ('self' works), { folder }, { group }, a submission
+    attachment { course, assignment, user } (user defaults to 'self'), or an endpoint path like 'courses/1/files'.
+    Add submit: true to a submission target to also submit the file for the assignment; the File then has the
+    submission attached as file.submission.
+
+    fileOrStream is a file path, a Buffer or a readable stream. meta is the upload parameters (name, size,
+    contentType, parentFolderPath, onDuplicate, ...); name is needed for Buffers and streams, and size for streams.
+    Paths and Buffers can be re-sent if the upload is retried; streams can't.
+    */
+    async uploadFile(target, fileOrStream, meta = {}) {
+        const file = this.prepareUploadSource(fileOrStream, meta);
+        const endpoint = this.getUploadEndpoint(target);
+
+        // Step 1: tell Canvas about the file and get somewhere to send it
+        const tokenResponse = await this.processRequest(this.createRequestConfig(endpoint, 'POST', this.toCanvasParams({
+            ...meta,
+            name: file.name,
+            size: file.size,
+            contentType: meta.contentType
+        })));
+        if (!tokenResponse || tokenResponse.dryRun) {
+            return tokenResponse ? tokenResponse.data : null;
+        }
+        const { upload_url: uploadUrl, upload_params: uploadParams = {}, file_param: fileParam = 'file' } = tokenResponse.data;
+
+        // Step 2: send the file itself; the upload_url is pre-signed, so no Authorization header
+        const boundary = `----CanvasMultiCurl${crypto.randomBytes(12).toString('hex')}`;
+        let head = '';
+        for (const [key, value] of Object.entries(uploadParams)) {
+            head += `--${boundary}\r\nContent-Disposition: form-data; name="${key}"\r\n\r\n${value}\r\n`;
+        }
+        head += `--${boundary}\r\nContent-Disposition: form-data; name="${fileParam}"; filename="${file.name.replace(/"/g, '%22')}"\r\n`;
+        head += `Content-Type: ${meta.contentType || 'application/octet-stream'}\r\n\r\n`;
+        const tail = `\r\n--${boundary}--\r\n`;
+
+        const uploadConfig = this.createRequestConfig(uploadUrl, 'POST', null, null, true, {
+            headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` }
+        });
+        delete uploadConfig.headers['Authorization'];
+        delete uploadConfig.authIdentity;
+        uploadConfig.noJournal = true; // not something rollback could (or should) send a DELETE to
+        if (file.size !== null) {
+            uploadConfig.headers['Content-Length'] = Buffer.byteLength(head) + file.size + Buffer.byteLength(tail);
+        }
+        uploadConfig.createData = () => Readable.from((async function* () {
+            yield Buffer.from(head);
+            yield* file.open();
+            yield Buffer.from(tail);
+        })());
+        uploadConfig.idempotent = file.reusable ? undefined : false; // a stream that's been read can't be sent again
+        uploadConfig.maxRedirects = 0; // the confirmation redirect needs our token, so follow it ourselves
+        uploadConfig.maxBodyLength = Infinity;
+        uploadConfig.maxContentLength = Infinity;
+
+        const uploadResponse = await this.processRequest(uploadConfig);
+        if (!uploadResponse) {
+            return null;
+        }
+
+        // Step 3: confirm the upload, unless the upload already answered with the File
+        let uploaded = uploadResponse.data;
+        if (!uploaded || !uploaded.id) {
+            const location = (uploadResponse.headers && uploadResponse.headers['location']) || (uploaded && uploaded.location);
+            if (!location) {
+                throw new UnexpectedResponseError(`No File or confirmation location from upload to ${uploadUrl}`, {
+                    url: uploadUrl,
+                    method: 'POST',
+                    status: uploadResponse.status,
+                    body: uploadResponse.data
+                });
+            }
+            const confirmResponse = await this.processRequest(this.createRequestConfig(location, 'GET', null, null, /^https?:\/\//.test(location)));
+            if (!confirmResponse) {
+                return null;
+            }
+            uploaded = confirmResponse.data;
+        }
+
+        // Optionally hand the file in for the assignment
+        if (target && typeof target === 'object' && target.assignment && target.submit) {
+            const submission = { submission_type: 'online_upload', file_ids: [uploaded.id] };
+            if (target.user && target.user !== 'self') {
+                submission.user_id = target.user;
+            }
+            const submitResponse = await this.processRequest(this.createRequestConfig(
+                `courses/${target.course}/assignments/${target.assignment}/submissions`, 'POST', { submission }
+            ));
+            uploaded.submission = submitResponse ? submitResponse.data : null;
+        }
+
+        return uploaded;
+    }
+
+    // Helper function to work out which endpoint starts an upload for a target
+    getUploadEndpoint(target) {
+        if (typeof target === 'string') {
+            return target;
+        }
+        if (target.course && target.assignment) {
+            return `courses/${target.course}/assignments/${target.assignment}/submissions/${target.user || 'self'}/files`;
+        }
+        if (target.course) return `courses/${target.course}/files`;
+        if (target.group) return `groups/${target.group}/files`;
+        if (target.folder) return `folders/${target.folder}/files`;
+        if (target.user) return `users/${target.user}/files`;
+        throw new TypeError('uploadFile needs a target like { course }, { user }, { folder }, { group } or { course, assignment }');
+    }
+
+    // Helper function to get a file's name and size and a way to read it (again, if it's a path or Buffer)
+    prepareUploadSource(fileOrStream, meta) {
+        if (typeof fileOrStream === 'string') {
+            return {
+                name: meta.name || path.basename(fileOrStream),
+                size: fs.statSync(fileOrStream).size,
+                reusable: true,
+                open: () => fs.createReadStream(fileOrStream)
+            };
+        }
+        if (!meta.name) {
+            throw new TypeError('uploadFile needs meta.name for Buffers and streams');
+        }
+        if (Buffer.isBuffer(fileOrStream)) {
+            return { name: meta.name, size: fileOrStream.length, reusable: true, open: () => [fileOrStream] };
+        }
+        if (fileOrStream && typeof fileOrStream.pipe === 'function') {
+            if (meta.size === undefined) {
+                throw new TypeError('uploadFile needs meta.size for streams');
+            }
+            return { name: meta.name, size: meta.size, reusable: false, open: () => fileOrStream };
+        }
+        throw new TypeError('uploadFile takes a file path, Buffer or readable stream');
+    }
+
+    //get submissions
+    async getSubmissions(courseid, assignmentids, students = false, workflow_state = '') {
         let assignmentList = assignmentids.map(id => `assignment_ids[]=${id}`).join('&');
 
         if(workflow_state)
@@ -364,141 +1713,304 @@ class CanvasMultiCurl {
        a larger number of items without manual scaling efforts.
     */
 
-    async getAllResultsFromArray(basePattern, items, vars = false, perPage = 100, maxBatchSize = 40, batchDelay = 500) {
+    // The pattern can have more than one placeholder, e.g. 'courses/<course>/assignments/<assignment>/submissions',
+    // with items like { course: [1, 2], assignment: [5, 6] } for every combination, or values that depend on the
+    // placeholders before them: { course: courseIds, assignment: { from: 'courses/<course>/assignments' } } fetches
+    // each course's assignments first. Results are then nested in placeholder order (results[course][assignment]).
+    // See lib/patterns.js for all the ways to give items.
+    //
+    // The returned object has a (non-enumerable) report property: { complete, failures, failedItems, resumedItems },
+    // and placeholders (their names, in order) for a pattern with several.
+    //
+    // Pass { checkpoint: 'file.ndjson' } (or a store, see lib/checkpoint.js) as options to save each page as it
+    // arrives. If the run dies partway, calling it again with the same basePattern, vars and perPage picks the
+    // finished items back up from the checkpoint and only fetches the rest. The checkpoint is cleared once a run
+    // completes without failures. Set checkpointKey to name the run yourself.
+    //
+    // Like getList, it takes an options object in place of vars, with signal, onProgress and partialOnAbort as well
+    // as checkpoint and checkpointKey. An aborted run with a checkpoint resumes like a crashed one.
+    async getAllResultsFromArray(basePattern, items, vars = false, perPage = 100, maxBatchSize = 40, batchDelay = 500, options = {}) {
+        options = this.getListOptions(vars, { vars, perPage, maxBatchSize, batchDelay, ...options });
+        ({ vars, perPage, maxBatchSize, batchDelay } = options);
+
         const allResults = {};
-        const retryCounts = {};
-        const totalPages = {};
-        const lastPageKnown = {};
-        const templateUrl = basePattern + (vars ? '&' : '?') + `per_page=${perPage}`;
+        const report = { complete: true, failures: [], failedItems: [], resumedItems: [] };
+        const store = checkpoints.createCheckpointStore(options.checkpoint);
+        const key = options.checkpointKey || this.getCheckpointKey(basePattern, vars, perPage, options.asUser);
+
+        // Work out every item up front (fetching anything a placeholder depends on), so a resumed run can tell
+        // which ones are done
+        const names = patterns.placeholdersIn(basePattern);
+        if (names.length > 1) {
+            report.placeholders = names;
+        }
+        let remaining = await patterns.expandItems(this, basePattern, items, options, report);
+        if (store) {
+            const saved = await store.load(key);
+            if (saved) {
+                remaining = remaining.filter(target => {
+                    if (!Object.prototype.hasOwnProperty.call(saved.items, target.key)) return true;
+                    patterns.setNested(allResults, names, target.params, saved.items[target.key]);
+                    report.resumedItems.push(target.item);
+                    return false;
+                });
+            }
+        }
 
-        let currentBatch = [];
-        let currentIndex = 0;
+        const iterateOptions = { ...options, itemsAlreadyDone: report.resumedItems.length };
+        const started = new Set();
+        try {
+            for await (const { item, data, done } of this.iterateFromArray(basePattern, remaining.map(target => target.item), iterateOptions, undefined, undefined, undefined, report)) {
+                const target = patterns.createTarget(names, patterns.paramsOf(names, item));
+                patterns.setNested(allResults, names, target.params, checkpoints.mergePage(patterns.getNested(allResults, names, target.params), data));
+
+                if (store) {
+                    // Pages from an earlier run that didn't finish this item would be fetched again, so they go
+                    if (!started.has(target.key)) {
+                        started.add(target.key);
+                        await store.startItem(key, target.key);
+                    }
+                    await store.savePage(key, target.key, data);
+                    if (done) await store.completeItem(key, target.key);
+                }
+            }
+        } catch (error) {
+            if (error instanceof AbortError && options.partialOnAbort) {
+                report.complete = false;
+                report.aborted = true;
+                return this.attachReport(allResults, report);
+            }
+            throw error;
+        }
 
-        while (currentIndex < items.length || currentBatch.length > 0) {
-            // Fill the batch with up to maxBatchSize requests, but ensure currentBatch isn't overfilled
-            for (let i = 0; i < maxBatchSize && currentIndex < items.length && currentBatch.length < maxBatchSize; i++, currentIndex++) {
-                const item = items[currentIndex];
-                const initialUrl = templateUrl.replace('<item>', item);
-                retryCounts[initialUrl] = 0;
-                totalPages[item] = 1;
-                lastPageKnown[item] = false;
+        report.complete = report.failures.length === 0;
+        if (store && report.complete) {
+            await store.clear(key);
+        }
+        return this.attachReport(allResults, report);
+    }
 
-                const config = this.createRequestConfig(initialUrl, 'GET');
-                currentBatch.push(config);
-            }
+    // Checkpoints are keyed by what was asked for (not the token or the item list, so a resumed run can use a new
+    // token, or more items)
+    getCheckpointKey(basePattern, vars, perPage, asUser) {
+        const request = [this.domain, basePattern, vars, perPage].concat(asUser !== undefined ? [asUser] : []);
+        return crypto.createHash('sha256')
+            .update(JSON.stringify(request))
+            .digest('hex')
+            .slice(0, 16);
+    }
 
-            // If the batch is full or no more items to process, execute the batch
-            if (currentBatch.length >= maxBatchSize || currentIndex >= items.length) {
+    /*
+    Streaming version of getAllResultsFromArray: yields { item, data, done } for each page as soon as it arrives, so
+    something like every enrollment in every course can be written out without holding it all in memory.
+    done is true on the last page of an item, once all of its pages have come back without failures. For a pattern
+    with several placeholders, item is the combination, e.g. { course: 1, assignment: 5 }.
+    Breaking out of the loop cancels any page requests that are still queued or in flight.
 
-                let batchResults = [];
+    for await (const { item, data } of canvas.iterateFromArray('courses/<item>/enrollments', courseIds)) { ... }
 
-                // Handle currentBatch being > maxBatchSize as a result of large numbers of pages
-                if (currentBatch.length > maxBatchSize) {
-                  // Loop through currentBatch and process a max of 40 requests at once
-                  for (let i = 0; i < currentBatch.length; i += maxBatchSize) {
-                      const batchChunk = currentBatch.slice(i, i + maxBatchSize);
-                      const chunkResults = await this.handleConcurrentRequests(batchChunk);
-                      batchResults = batchResults.concat(chunkResults); // Collect results from each chunk
-                  }
-                } else {
-                  // If the batch is within limits, process it directly
-                  batchResults = await this.handleConcurrentRequests(currentBatch);
-                }
+    Takes the same options object as getList in place of vars; aborting its signal makes the loop throw an AbortError.
+    */
+    async *iterateFromArray(basePattern, items, vars = false, perPage = 100, maxBatchSize = 40, batchDelay = 500, report = null) {
+        const options = this.getListOptions(vars, { vars, perPage, maxBatchSize, batchDelay });
+        ({ vars, perPage, maxBatchSize, batchDelay } = options);
+        if (options.asUser !== undefined) {
+            basePattern = this.addAsUser(basePattern, options.asUser);
+            vars = true;
+        }
+        const failures = report ? report.failures : [];
+
+        // What to fetch for each item; anything a placeholder depends on is fetched first (see lib/patterns.js)
+        const targets = await patterns.expandItems(this, basePattern, items, options, { failures });
+        const byKey = new Map(targets.map(target => [target.key, target]));
+        const itemOf = key => byKey.get(key).item;
+
+        const controller = new AbortController();
+        EventEmitter.setMaxListeners(0, controller.signal); // every queued request and delay listens for it
+        this.createOperationQueue(controller.signal);
+        const unlink = this.linkSignal(options.signal, controller);
+        const checkAborted = () => {
+            if (options.signal && options.signal.aborted) {
+                throw new AbortError(`Stopped fetching ${basePattern}`, { url: basePattern, method: 'GET' });
+            }
+        };
+        const alreadyDone = options.itemsAlreadyDone || 0; // resumed from a checkpoint
+        const progress = new ListProgress(this, controller.signal, options.onProgress, targets.length + alreadyDone);
+        progress.stats.itemsDone = alreadyDone;
+        progress.failures = failures;
+        const totalPages = {};
+        const lastPageKnown = {};
+        const bookmarkTried = {};
+        const pending = {}; // requests (and bookmark jobs) still outstanding for each item
+        const failed = new Set();
+        // Count off a finished request for an item; true once the item is done, and done without failures
+        const settle = item => {
+            pending[item]--;
+            if (pending[item] !== 0) return false;
+            this.emit('itemComplete', { item: itemOf(item), failed: failed.has(item) });
+            progress.itemDone();
+            return !failed.has(item);
+        };
+        const templateUrl = basePattern + (vars ? '&' : '?') + `per_page=${perPage}`;
+        const itemUrls = {};
+        progress.getPages = () => Object.keys(totalPages).reduce((pages, item) => {
+            pages[lastPageKnown[item] ? 'knownPages' : 'speculativePages'] += totalPages[item];
+            return pages;
+        }, { knownPages: 0, speculativePages: 0 });
 
-                // Reset the batch for the next set of requests
-                currentBatch = [];
+        let currentBatch = [];
+        let bookmarkJobs = [];
+        let currentIndex = 0;
 
-                for (const result of batchResults) {
-                    if (result && result.status === 200) {
-                        const itemUrl = result.config.url;
-                        const item = items.find(it => itemUrl.includes(`/${it}/`));
-                        const currentResults = allResults[item] || [];
+        try {
+            while (currentIndex < targets.length || currentBatch.length > 0) {
+                // Fill the batch with up to maxBatchSize requests, but ensure currentBatch isn't overfilled
+                for (let i = 0; i < maxBatchSize && currentIndex < targets.length && currentBatch.length < maxBatchSize; i++, currentIndex++) {
+                    // item is the target's key from here on; itemOf turns it back into what the caller gave us
+                    const item = targets[currentIndex].key;
+                    const initialUrl = itemUrls[item] = patterns.fillPattern(templateUrl, targets[currentIndex].params);
+                    totalPages[item] = 1;
+                    lastPageKnown[item] = false;
+                    pending[item] = 1;
+
+                    currentBatch.push(this.createItemRequestConfig(initialUrl, item, controller.signal));
+                }
 
-                        if (Array.isArray(result.data)) {
-                            allResults[item] = currentResults.concat(result.data);
-                        } else {
-                            allResults[item] = result.data;
-                        }
+                // If the batch is full or no more items to process, execute the batch
+                if (currentBatch.length >= maxBatchSize || currentIndex >= targets.length) {
+                    const batch = currentBatch;
 
-                        //do we know the last page? and are there results >= perPage (suggesting there might be more pages)?
-                        if(!lastPageKnown[item] && result.data.length >= perPage)
-                        {
-                          const lastPageUrl = this.getPageUrl(result.headers['link'], 'last');
-                          const nextPageUrl = this.getPageUrl(result.headers['link'], 'next');
-                          const currentPageUrl = this.getPageUrl(result.headers['link'], 'current');
+                    // Reset the batch for the next set of requests
+                    currentBatch = [];
 
-                          if (lastPageUrl) {
-                              const queryParams = new URLSearchParams(lastPageUrl.split('?')[1]);
-                              const lastPage = queryParams.get('page');
-                              if(!lastPage.includes('bookmark') && !lastPage.includes('first'))
-                              {
-                                totalPages[item] = parseInt(queryParams.get('page')) || 1;
-                                lastPageKnown[item] = true;
+                    // Handle the batch being > maxBatchSize as a result of large numbers of pages by running it in chunks
+                    for (let i = 0; i < batch.length; i += maxBatchSize) {
+                        const chunk = batch.slice(i, i + maxBatchSize);
+                        const chunkRequests = chunk.map(config => this.processRequest(config, failures));
+                        chunkRequests.forEach(chunkRequest => chunkRequest.catch(() => {})); // see iterate()
 
-                                //sometimes last page doesn't show up at first, so we need to let page = currentPage
+                        // Process the responses in order as they complete, while the rest of the chunk is still running
+                        for (let j = 0; j < chunk.length; j++) {
+                            const result = await chunkRequests[j];
+                            checkAborted();
+                            if (result && result.status === 200) {
+                                const item = chunk[j].item;
 
-                                let currentPage = 1;
-                                if(currentPageUrl)
+                                //do we know the last page? and are there results >= perPage (suggesting there might be more pages)?
+                                if(!lastPageKnown[item] && result.data.length >= perPage)
                                 {
-                                  const cpqueryParams = new URLSearchParams(currentPageUrl.split('?')[1]);
-                                  currentPage = parseInt(cpqueryParams.get('page'));
+                                  const lastPageUrl = this.getPageUrl(result.headers['link'], 'last');
+                                  const nextPageUrl = this.getPageUrl(result.headers['link'], 'next');
+
+                                  if (lastPageUrl) {
+                                      const queryParams = new URLSearchParams(lastPageUrl.split('?')[1]);
+                                      const lastPage = queryParams.get('page');
+                                      if(!lastPage.includes('bookmark') && !lastPage.includes('first'))
+                                      {
+                                        //sometimes last page doesn't show up at first, so start after this page, or after
+                                        //whatever we've already speculated our way up to
+                                        const queuedThrough = Math.max(this.getCurrentPage(result), totalPages[item]);
+                                        totalPages[item] = parseInt(queryParams.get('page')) || 1;
+                                        lastPageKnown[item] = true;
+
+                                        for (let page = queuedThrough + 1; page <= totalPages[item]; page++) {
+                                            const pageUrl = `${itemUrls[item]}&page=${page}`;
+                                            this.emit('pageDiscovered', { url: pageUrl, page, item: itemOf(item) });
+                                            pending[item]++;
+                                            currentBatch.push(this.createItemRequestConfig(pageUrl, item, controller.signal));
+                                        }
+                                      } //if lastPage has a bookmark, so does nextPage
+
+                                  } else if (nextPageUrl) {
+                                      const queryParams = new URLSearchParams(nextPageUrl.split('?')[1]);
+                                      const nextPage = queryParams.get('page');
+
+                                      if (!nextPage.includes('bookmark')) {
+                                          //speculate! one more page each time we reach the last one we've asked for
+                                          const currentPage = this.getCurrentPage(result);
+
+                                          if(currentPage >= totalPages[item])
+                                          {
+                                            totalPages[item] = totalPages[item] + 1;
+
+                                            for (let page = currentPage + 1; page <= totalPages[item]; page++) {
+                                                const pageUrl = `${itemUrls[item]}&page=${page}`;
+                                                this.emit('pageDiscovered', { url: pageUrl, page, item: itemOf(item) });
+                                                pending[item]++;
+                                                currentBatch.push(this.createItemRequestConfig(pageUrl, item, controller.signal));
+                                            }
+                                          }
+                                      } else if (!bookmarkTried[item]) {
+                                        //bookmarks! try splitting the rest into ID ranges, and step by step if we can't
+                                        bookmarkTried[item] = true;
+                                        const pageConfig = this.createItemRequestConfig(nextPageUrl, item, controller.signal, true);
+                                        const rangeFailures = [];
+                                        pending[item]++;
+                                        bookmarkJobs.push(this.getBookmarkRanges(nextPageUrl, result.data, perPage, controller.signal, rangeFailures)
+                                            .then(rangeResults => ({ item, rangeResults, pageConfig, rangeFailures })));
+                                      } else {
+                                        //ugh bookmarks we can't decode, we must go step by step
+                                        totalPages[item]++;
+                                        this.emit('pageDiscovered', { url: nextPageUrl, page: null, item: itemOf(item) });
+                                        pending[item]++;
+                                        currentBatch.push(this.createItemRequestConfig(nextPageUrl, item, controller.signal, true));
+                                      }
+                                  }
                                 }
 
-                                for (let page = currentPage; page <= totalPages[item]; page++) {
-                                    const pageUrl = `${templateUrl.replace('<item>', item)}&page=${page}`;
-                                    console.log(pageUrl);
-                                    const pageConfig = this.createRequestConfig(pageUrl, 'GET');
-                                    currentBatch.push(pageConfig);
+                                // done marks the last page of an item that had no failures
+                                yield { item: itemOf(item), data: result.data, done: settle(item) };
+                            } else if (!controller.signal.aborted) {
+                                // processRequest has already reported why
+                                const failedItem = chunk[j].item;
+                                failed.add(failedItem);
+                                settle(failedItem);
+                                if (report && !report.failedItems.includes(itemOf(failedItem))) {
+                                    report.failedItems.push(itemOf(failedItem));
                                 }
-                              } //if lastPage has a bookmark, so does nextPage
-
-                          } else if (nextPageUrl) {
-                              const queryParams = new URLSearchParams(nextPageUrl.split('?')[1]);
-                              const nextPage = queryParams.get('page');
-
-                              if (!nextPage.includes('bookmark')) {
-                                  //speculate!
-
-                                  let currentPage = 1;
-                                  if(currentPageUrl)
-                                  {
-                                    const cpqueryParams = new URLSearchParams(currentPageUrl.split('?')[1]);
-                                    currentPage = parseInt(cpqueryParams.get('page'));
-                                  }
-
-                                  if(currentPage > totalPages[item])
-                                  {
-                                    totalPages[item] = totalPages[item] + 1;
+                            }
+                        }
+                    }
 
-                                    for (let page = currentPage + 1; page <= totalPages[item]; page++) {
-                                        const pageUrl = `${templateUrl.replace('<item>', item)}&page=${page}`;
-                                        const pageConfig = this.createRequestConfig(pageUrl, 'GET');
-                                        currentBatch.push(pageConfig);
-                                    }
-                                  }
-                              } else {
-                                //ugh bookmarks
-                                totalPages[item]++;
-                                const pageConfig = this.createRequestConfig(nextPageUrl, 'GET', null, null, true);
-                                currentBatch.push(pageConfig);
-                              }
-                          }
+                    // Wait for any bookmark ranges started by this batch
+                    const finishedJobs = await Promise.all(bookmarkJobs);
+                    checkAborted();
+                    for (const { item, rangeResults, pageConfig, rangeFailures } of finishedJobs) {
+                        if (rangeFailures.length) {
+                            // some of the ranges came back short, so this item can't count as done
+                            failures.push(...rangeFailures);
+                            failed.add(item);
+                            if (report && !report.failedItems.includes(itemOf(item))) {
+                                report.failedItems.push(itemOf(item));
+                            }
+                        }
+                        if (rangeResults) {
+                            yield { item: itemOf(item), data: rangeResults, done: settle(item) };
+                        } else {
+                            // the job's place in pending passes on to the page request
+                            totalPages[item]++;
+                            currentBatch.push(pageConfig);
                         }
-                    } else {
-                        console.error(`Failed to fetch data for ${result.config.url}:`, result ? result.status : 'unknown error');
                     }
-                }
+                    bookmarkJobs = [];
 
-                // Delay before processing the next batch
-                await new Promise(resolve => setTimeout(resolve, batchDelay));
+                    // Delay before processing the next batch
+                    await this.sleep(batchDelay, controller.signal);
+                    checkAborted();
+                }
             }
+        } finally {
+            // Cancel anything still queued or in flight if the caller stopped early (or something failed)
+            controller.abort();
+            this.stopOperationQueue(controller.signal);
+            unlink();
+            progress.stop();
         }
-
-        return allResults;
     }
 
     // Add this method to the CanvasMultiCurl class
-    async gradeItem(courseId, userId, assignmentId, gradeVal) {
+    // Pass { wait: true } (or waitForProgress options as wait) to resolve once Canvas has actually applied the grade
+    async gradeItem(courseId, userId, assignmentId, gradeVal, options = {}) {
         const endpoint = `courses/${courseId}/assignments/${assignmentId}/submissions/update_grades`;
         const gradeData = {
             grade_data: {
@@ -511,19 +2023,248 @@ class CanvasMultiCurl {
 
         // Process the request and handle any response or errors
         try {
-            const response = await this.processRequest(config, {});
+            const response = await this.processRequest(config);
             if (response && response.status === 200) {
+                if (options.wait) {
+                    return await this.waitForProgress(response.data, typeof options.wait === 'object' ? options.wait : {});
+                }
                 return response.data; // Return successful response data
             } else {
-                console.error(`Failed to post grade for user ${userId} in course ${courseId}`);
+                this.logger.error(`Failed to post grade for user ${userId} in course ${courseId}`);
                 return null;
             }
         } catch (error) {
-            console.error(`Error in gradeItem: ${error.message}`);
+            if (this.errorMode === 'throw') {
+                throw error;
+            }
+            this.logger.error(`Error in gradeItem: ${error.message}`);
             return null;
         }
     }
+
+    /*
+    Grade many students on one assignment with as few calls as possible. Canvas's update_grades endpoint takes
+    a whole batch of students and hands back a Progress object, so students are sent chunkSize at a time and
+    (unless wait is false) each Progress is polled until the grades are actually in.
+
+    gradesByUser is { userId: grade }, where grade is either a plain posted_grade (88, 'A-', 'complete') or
+    { grade, comment, excuse, rubric } (Canvas's own posted_grade, text_comment, excuse and rubric_assessment
+    keys work too). Resolves with { complete, succeeded: [{ userId, assignmentId }], failed: [{ userId,
+    assignmentId, error }], progress: [Progress objects] }; failed chunks are reported there rather than thrown.
+    wait can also be an object of waitForProgress options (timeout, onProgress, etc.).
+    */
+    async gradeMany(courseId, assignmentId, gradesByUser, options = {}) {
+        const { chunkSize = 100, wait = true } = options;
+        const endpoint = `courses/${courseId}/assignments/${assignmentId}/submissions/update_grades`;
+        const report = { complete: true, succeeded: [], failed: [], progress: [] };
+
+        const userIds = Object.keys(gradesByUser);
+        const chunks = [];
+        for (let i = 0; i < userIds.length; i += chunkSize) {
+            chunks.push(userIds.slice(i, i + chunkSize));
+        }
+
+        await Promise.all(chunks.map(async chunk => {
+            const gradeData = {};
+            for (const userId of chunk) {
+                gradeData[userId] = this.prepareGrade(gradesByUser[userId]);
+            }
+
+            const failures = [];
+            let error = null;
+            try {
+                const response = await this.processRequest(this.createRequestConfig(endpoint, 'POST', { grade_data: gradeData }), failures);
+                if (!response) {
+                    error = failures[failures.length - 1];
+                } else {
+                    let progress = response.data;
+                    if (wait) {
+                        progress = await this.waitForProgress(progress, typeof wait === 'object' ? wait : {});
+                    }
+                    report.progress.push(progress);
+                }
+            } catch (caught) {
+                error = caught;
+            }
+
+            for (const userId of chunk) {
+                if (error) {
+                    report.failed.push({ userId, assignmentId, error });
+                } else {
+                    report.succeeded.push({ userId, assignmentId });
+                }
+            }
+        }));
+
+        report.complete = report.failed.length === 0;
+        return report;
+    }
+
+    /*
+    Grade a whole gradebook at once: gradesByAssignment is { assignmentId: { userId: grade } }, with grades in
+    any form gradeMany takes. Each assignment goes through gradeMany at the same time (the limiter keeps that in
+    check), and the reports are merged into one.
+    */
+    async bulkGrade(courseId, gradesByAssignment, options = {}) {
+        const reports = await Promise.all(Object.keys(gradesByAssignment).map(assignmentId =>
+            this.gradeMany(courseId, assignmentId, gradesByAssignment[assignmentId], options)
+        ));
+
+        return reports.reduce((merged, report) => ({
+            complete: merged.complete && report.complete,
+            succeeded: merged.succeeded.concat(report.succeeded),
+            failed: merged.failed.concat(report.failed),
+            progress: merged.progress.concat(report.progress)
+        }), { complete: true, succeeded: [], failed: [], progress: [] });
+    }
+
+    // Move grades from one course to another for lots of users at once, following a spec of matching rules.
+    // Submissions are fetched in bulk and grades posted with bulkGrade; see lib/gradeMigration.js for the spec.
+    migrateGrades(spec, userIds, options = {}) {
+        return gradeMigration.migrateGrades(this, spec, userIds, options);
+    }
+
+    // Copy a course into lots of others (term rollover, blueprints) with content migrations, waiting for each one
+    // and collecting their migration issues. See lib/courseCopy.js for select, dateShift and the report.
+    copyCourse(sourceId, targetIds, options = {}) {
+        return courseCopies.copyCourse(this, sourceId, targetIds, options);
+    }
+
+    // Keep a local copy of a list up to date, fetching only what changed since the last run. options.store (a file
+    // path or sync store) is where the copy and high-water marks are kept; see lib/sync.js for the rest.
+    sync(resource, options = {}) {
+        return syncs.sync(this, resource, options);
+    }
+
+    // Submissions changed since the last run, by submitted_since and graded_since. options.students limits it to
+    // some students (all by default).
+    syncSubmissions(courseId, assignmentIds, options = {}) {
+        return this.sync(syncs.submissionsResource(courseId, assignmentIds, options.students || 'all'), options);
+    }
+
+    // A course's enrollments, with deleted ones dropped
+    syncEnrollments(courseId, options = {}) {
+        return this.sync(syncs.enrollmentsResource(courseId), options);
+    }
+
+    // An account's courses, with deleted ones dropped. options.params narrows the list, e.g. { enrollment_term_id: 5 }.
+    syncCourses(accountId, options = {}) {
+        return this.sync(syncs.coursesResource(accountId, options.params), options);
+    }
+
+    // Helper function to turn a grade into update_grades grade_data for one student
+    prepareGrade(grade) {
+        if (grade === null || typeof grade !== 'object') {
+            return { posted_grade: grade };
+        }
+
+        const { grade: postedGrade, comment, excuse, rubric, ...canvasKeys } = grade;
+        const gradeData = { ...canvasKeys };
+        if (postedGrade !== undefined) gradeData.posted_grade = postedGrade;
+        if (comment !== undefined) gradeData.text_comment = comment;
+        if (excuse !== undefined) gradeData.excuse = excuse;
+        if (rubric !== undefined) gradeData.rubric_assessment = rubric;
+        return gradeData;
+    }
+
+    /*
+    Wait for a Canvas Progress (returned by update_grades, content migrations, course copies, reports, etc.) to
+    finish. progressOrUrl can be the Progress object itself, its ID, or its URL. Polls through the limiter with
+    backoff and resolves with the completed Progress, or rejects with a JobFailedError carrying Canvas's message.
+
+    options: interval/maxInterval/backoff (ms between checks, growing by backoff each time), timeout (ms, rejects
+    with JobTimeoutError), signal (an AbortSignal, rejects with AbortError) and onProgress(completion, progress),
+    called whenever the completion percentage changes.
+    */
+    async waitForProgress(progressOrUrl, options = {}) {
+        let progress = null;
+        let progressUrl;
+        if (progressOrUrl && typeof progressOrUrl === 'object') {
+            progress = progressOrUrl;
+            progressUrl = progress.url || `progress/${progress.id}`;
+        } else {
+            progressUrl = String(progressOrUrl).includes('/') ? String(progressOrUrl) : `progress/${progressOrUrl}`;
+        }
+
+        return this.waitForJob(progress, progressUrl, {
+            isFinished: job => ['completed', 'failed'].includes(job.workflow_state),
+            isFailed: job => job.workflow_state === 'failed',
+            getCompletion: job => job.completion,
+            describeFailure: job => `Progress ${job.id} (${job.tag || 'job'}) failed: ${job.message || 'no message from Canvas'}`
+        }, options);
+    }
+
+    // Generic polling loop behind waitForProgress; checks says how to tell when a job is finished, failed, and how far along it is
+    async waitForJob(job, jobUrl, checks, options = {}) {
+        const { interval = 1000, maxInterval = 10000, backoff = 1.5, timeout = null, signal = null, onProgress = null } = options;
+        const absolute = /^https?:\/\//.test(jobUrl);
+        const started = Date.now();
+        let delay = interval;
+        let lastCompletion;
+        let reported = false;
+
+        while (true) {
+            if (job) {
+                const completion = checks.getCompletion(job);
+                if (onProgress && (!reported || completion !== lastCompletion)) {
+                    lastCompletion = completion;
+                    reported = true;
+                    onProgress(completion, job);
+                }
+                if (checks.isFinished(job)) {
+                    if (checks.isFailed(job)) {
+                        throw new JobFailedError(checks.describeFailure(job), { url: jobUrl, method: 'GET', status: 200, body: job });
+                    }
+                    return job;
+                }
+
+                if (timeout !== null && Date.now() - started + delay > timeout) {
+                    throw new JobTimeoutError(`Gave up waiting for ${jobUrl} after ${timeout} milliseconds`, { url: jobUrl, method: 'GET', body: job });
+                }
+
+                // Wait before checking again, unless cancelled in the meantime
+                await this.sleep(delay, signal);
+                delay = Math.min(maxInterval, delay * backoff);
+            }
+
+            if (signal && signal.aborted) {
+                throw new AbortError(`Stopped waiting for ${jobUrl}`, { url: jobUrl, method: 'GET', body: job });
+            }
+
+            const config = this.createRequestConfig(jobUrl, 'GET', null, null, absolute);
+            config.signal = signal;
+            const failures = [];
+            const response = await this.processRequest(config, failures);
+            if (!response) {
+                if (signal && signal.aborted) {
+                    throw new AbortError(`Stopped waiting for ${jobUrl}`, { url: jobUrl, method: 'GET', body: job });
+                }
+                throw failures[failures.length - 1] || new UnexpectedResponseError(`Lost track of ${jobUrl}`, { url: jobUrl, method: 'GET' });
+            }
+            job = response.data;
+        }
+    }
 }
 
+// Make the error classes available as CanvasMultiCurl.NotFoundError etc. for instanceof checks
+Object.assign(CanvasMultiCurl, errors);
+CanvasMultiCurl.FileJournal = journals.FileJournal;
+CanvasMultiCurl.MemoryJournal = journals.MemoryJournal;
+CanvasMultiCurl.readJournal = journals.readJournal;
+CanvasMultiCurl.FileCheckpointStore = checkpoints.FileCheckpointStore;
+CanvasMultiCurl.MemoryCheckpointStore = checkpoints.MemoryCheckpointStore;
+CanvasMultiCurl.ResponseCache = caches.ResponseCache;
+CanvasMultiCurl.buildQuery = resources.buildQuery;
+CanvasMultiCurl.ClientPool = CanvasClientPool;
+CanvasMultiCurl.OAuth2Auth = auths.OAuth2Auth;
+CanvasMultiCurl.ClientCredentialsAuth = auths.ClientCredentialsAuth;
+CanvasMultiCurl.FileTokenStore = auths.FileTokenStore;
+CanvasMultiCurl.MemoryTokenStore = auths.MemoryTokenStore;
+CanvasMultiCurl.exportCsv = exporters.exportCsv;
+CanvasMultiCurl.exportNdjson = exporters.exportNdjson;
+CanvasMultiCurl.exportSqlite = exporters.exportSqlite;
+CanvasMultiCurl.FileSyncStore = syncs.FileSyncStore;
+CanvasMultiCurl.MemorySyncStore = syncs.MemorySyncStore;
+
 // Export the CanvasMultiCurl class for use in other files
 module.exports = CanvasMultiCurl;
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+// Command-line interface for common bulk operations, so they don't each need a throwaway script. Credentials come
+// from the environment like the example scripts: CANVAS_DOMAIN, plus CANVAS_ACCESS_TOKEN or an OAuth2 developer
+// key (CANVAS_CLIENT_ID, CANVAS_CLIENT_SECRET, CANVAS_REFRESH_TOKEN).
+const fs = require('fs');
+const { parseArgs } = require('util');
+const CanvasMultiCurl = require('../CanvasMultiCurl');
+const { parseCsv } = require('../lib/csv');
+const { exportCsv, exportNdjson, exportSqlite } = require('../lib/export');
+
+const USAGE = `Usage: canvas-multicurl <command> [options]
+
+Commands:
+  list <endpoint>                  every page of a list, e.g. list courses/1/assignments --vars bucket=past
+  fanout <pattern>                 the same list for many items, e.g. fanout "courses/<item>/enrollments"
+                                   --items-file course_ids.txt (one per line) or --items 1,2,3
+  submissions <courseId>           submissions for --assignments 1,2 (and --students 3,4, --workflow-state graded)
+  grade <courseId> --csv <file>    post grades from a CSV with assignment_id, user_id and grade columns (and
+                                   optionally comment and excuse)
+
+Options:
+  -f, --format json|ndjson|csv|sqlite
+                                   output format (default json); sqlite upserts by id into --table in the -o database
+  -o, --output <file>              write to a file instead of stdout
+      --columns <paths>            CSV columns, comma separated dotted paths, e.g. id,user.name,score
+      --table <name>               table for -f sqlite
+      --vars <query>               query string for the list, e.g. "include[]=term&state[]=available"
+      --per-page <n>               page size (default 100)
+  -c, --concurrency <n>            requests at once (default 10)
+      --min-time <ms>              minimum time between requests (default 200)
+      --dry-run                    don't send writes, just report what would have been sent
+      --domain <url>               Canvas domain, if CANVAS_DOMAIN isn't set
+      --log-level <level>          debug, info, warn (default), error or silent
+  -h, --help                       show this
+`;
+
+const OPTIONS = {
+    format: { type: 'string', short: 'f', default: 'json' },
+    output: { type: 'string', short: 'o' },
+    columns: { type: 'string' },
+    table: { type: 'string' },
+    vars: { type: 'string' },
+    'per-page': { type: 'string', default: '100' },
+    items: { type: 'string' },
+    'items-file': { type: 'string' },
+    assignments: { type: 'string' },
+    students: { type: 'string' },
+    'workflow-state': { type: 'string', default: '' },
+    csv: { type: 'string' },
+    concurrency: { type: 'string', short: 'c', default: '10' },
+    'min-time': { type: 'string', default: '200' },
+    'dry-run': { type: 'boolean', default: false },
+    domain: { type: 'string' },
+    'log-level': { type: 'string', default: 'warn' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+// A mistake in how the command was called: the message and usage go to stderr, exit code 1
+class UsageError extends Error {}
+
+// Messages from the library go to stderr, so stdout only ever has the output
+function createClient(values, env, stderr) {
+    const domain = values.domain || env.CANVAS_DOMAIN;
+    if (!domain) {
+        throw new UsageError('Set CANVAS_DOMAIN (or pass --domain)');
+    }
+    const auth = env.CANVAS_CLIENT_ID ? {
+        clientId: env.CANVAS_CLIENT_ID,
+        clientSecret: env.CANVAS_CLIENT_SECRET,
+        refreshToken: env.CANVAS_REFRESH_TOKEN
+    } : null;
+    if (!auth && !env.CANVAS_ACCESS_TOKEN) {
+        throw new UsageError('Set CANVAS_ACCESS_TOKEN (or CANVAS_CLIENT_ID, CANVAS_CLIENT_SECRET and CANVAS_REFRESH_TOKEN)');
+    }
+
+    return new CanvasMultiCurl(env.CANVAS_ACCESS_TOKEN || null, domain.replace(/\/+$/, ''), toNumber(values.concurrency, 'concurrency'), toNumber(values['min-time'], 'min-time'), {
+        auth,
+        dryRun: values['dry-run'],
+        logger: { log: (...args) => stderr.write(args.join(' ') + '\n') },
+        logLevel: values['log-level']
+    });
+}
+
+function toNumber(value, name) {
+    const number = Number(value);
+    if (value === undefined || value === '' || isNaN(number)) {
+        throw new UsageError(`--${name} must be a number`);
+    }
+    return number;
+}
+
+// Comma separated IDs from a flag
+function toList(value) {
+    return value ? value.split(',').map(entry => entry.trim()).filter(Boolean) : [];
+}
+
+// Items for fanout, one per line (blank lines and # comments skipped)
+function readItems(values) {
+    if (values['items-file']) {
+        return fs.readFileSync(values['items-file'], 'utf8').split(/\r?\n/)
+            .map(line => line.replace(/#.*/, '').trim())
+            .filter(Boolean);
+    }
+    return toList(values.items);
+}
+
+// The endpoint with --vars added on, and whether it ended up with a query string (getList's vars argument)
+function withVars(endpoint, vars) {
+    if (vars) {
+        endpoint += (endpoint.includes('?') ? '&' : '?') + vars.replace(/^[?&]/, '');
+    }
+    return { url: endpoint, vars: endpoint.includes('?') };
+}
+
+/*
+Each command resolves with { records, json, complete, failures }: records for NDJSON, CSV and SQLite (anything
+lib/export takes, so fanout's results keyed by item come out with an item field), json for JSON output if it
+should look different from the records, whether everything worked, and the errors to show if it didn't.
+*/
+const COMMANDS = {
+    async list(canvas, [endpoint], values) {
+        if (!endpoint) throw new UsageError('list needs an endpoint');
+        const { url, vars } = withVars(endpoint, values.vars);
+        const results = await canvas.getList(url, vars, toNumber(values['per-page'], 'per-page'));
+        return { records: results, complete: results.report.complete, failures: results.report.failures };
+    },
+
+    async fanout(canvas, [pattern], values) {
+        if (!pattern || !pattern.includes('<item>')) throw new UsageError('fanout needs a pattern with <item> in it');
+        const items = readItems(values);
+        if (!items.length) throw new UsageError('fanout needs --items-file or --items');
+
+        const { url, vars } = withVars(pattern, values.vars);
+        const results = await canvas.getAllResultsFromArray(url, items, vars, toNumber(values['per-page'], 'per-page'));
+        return { records: results, complete: results.report.complete, failures: results.report.failures };
+    },
+
+    async submissions(canvas, [courseId], values) {
+        const assignmentIds = toList(values.assignments);
+        if (!courseId || !assignmentIds.length) throw new UsageError('submissions needs a course ID and --assignments');
+        const students = toList(values.students);
+        const results = await canvas.getSubmissions(courseId, assignmentIds, students.length ? students : false, values['workflow-state']);
+        return { records: results, complete: results.report.complete, failures: results.report.failures };
+    },
+
+    async grade(canvas, [courseId], values) {
+        if (!courseId || !values.csv) throw new UsageError('grade needs a course ID and --csv');
+        const rows = parseCsv(fs.readFileSync(values.csv, 'utf8'));
+
+        const gradesByAssignment = {};
+        rows.forEach((row, index) => {
+            if (!row.assignment_id || !row.user_id) {
+                throw new UsageError(`${values.csv} row ${index + 2} needs an assignment_id and user_id`);
+            }
+            const grade = {};
+            if (row.grade !== undefined && row.grade !== '') grade.grade = row.grade;
+            if (row.comment) grade.comment = row.comment;
+            if (['true', '1', 'yes'].includes(String(row.excuse).toLowerCase())) grade.excuse = true;
+            (gradesByAssignment[row.assignment_id] = gradesByAssignment[row.assignment_id] || {})[row.user_id] = grade;
+        });
+
+        const report = await canvas.bulkGrade(courseId, gradesByAssignment);
+        const records = report.succeeded.map(({ userId, assignmentId }) => ({ assignment_id: assignmentId, user_id: userId, status: 'graded' }))
+            .concat(report.failed.map(({ userId, assignmentId, error }) => ({ assignment_id: assignmentId, user_id: userId, status: 'failed', error: error && error.message })));
+        return {
+            records,
+            json: { complete: report.complete, dryRun: canvas.dryRun, graded: report.succeeded.length, failed: records.filter(record => record.status === 'failed') },
+            complete: report.complete,
+            failures: []
+        };
+    }
+};
+
+const FORMATS = ['json', 'ndjson', 'csv', 'sqlite'];
+
+// Write a command's result to the -o file or stdout in the chosen format
+async function writeOutput(result, values, stdout, stderr) {
+    const destination = values.output || stdout;
+    switch (values.format) {
+        case 'json': {
+            const json = JSON.stringify(result.json !== undefined ? result.json : result.records, null, 2) + '\n';
+            if (values.output) {
+                fs.writeFileSync(values.output, json);
+            } else {
+                stdout.write(json);
+            }
+            break;
+        }
+        case 'ndjson':
+            await exportNdjson(result.records, destination);
+            break;
+        case 'csv':
+            // Everything is in memory already, so every record counts towards the columns
+            await exportCsv(result.records, destination, { columns: values.columns ? toList(values.columns) : null, sampleSize: Infinity });
+            break;
+        case 'sqlite': {
+            const written = await exportSqlite(result.records, values.output, values.table);
+            stderr.write(`${written.records} row${written.records === 1 ? '' : 's'} written to ${values.table}\n`);
+            break;
+        }
+    }
+}
+
+// Runs the CLI; resolves with the exit code (0, 1 for usage or fatal errors, 2 when some requests failed)
+async function main(argv = process.argv.slice(2), env = process.env, stdout = process.stdout, stderr = process.stderr) {
+    try {
+        const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+        const [commandName, ...args] = positionals;
+        if (values.help || !commandName) {
+            (values.help ? stdout : stderr).write(USAGE);
+            return values.help ? 0 : 1;
+        }
+        const command = COMMANDS[commandName];
+        if (!command) {
+            throw new UsageError(`Unknown command ${commandName}`);
+        }
+        if (!FORMATS.includes(values.format)) {
+            throw new UsageError(`Unknown format ${values.format}; use json, ndjson, csv or sqlite`);
+        }
+        if (values.format === 'sqlite' && (!values.output || !values.table)) {
+            throw new UsageError('-f sqlite needs -o <database file> and --table');
+        }
+
+        const canvas = createClient(values, env, stderr);
+        const result = await command(canvas, args, values);
+        await writeOutput(result, values, stdout, stderr);
+
+        if (canvas.dryRun && canvas.dryRunLog.length) {
+            stderr.write(`Dry run: ${canvas.dryRunLog.length} write${canvas.dryRunLog.length === 1 ? '' : 's'} not sent\n`);
+        }
+        if (!result.complete) {
+            stderr.write(`Finished with failures${result.failures.length ? `:\n${result.failures.map(error => `  ${error.message}`).join('\n')}` : ''}\n`);
+            return 2;
+        }
+        return 0;
+    } catch (error) {
+        if (error instanceof UsageError || (error.code && error.code.startsWith('ERR_PARSE_ARGS'))) {
+            stderr.write(`${error.message}\n\n${USAGE}`);
+        } else {
+            stderr.write(`${error.message}\n`);
+        }
+        return 1;
+    }
+}
+
+if (require.main === module) {
+    main().then(code => { process.exitCode = code; });
+}
+
+module.exports = { main };
@@ -1,39 +1,45 @@
 const CanvasMultiCurl = require('./CanvasMultiCurl');
 
-// Configuration
-const accessToken = '21476~JtxO2yW8x7XJthJxvwXyUIDG7K8ppGPwDjLJC4Kx4b02SHYHqPArfmNAZ0BnL3Af'; // Replace with your Canvas API token
-const domain = 'https://csh-dhge.instructure.com'; // Replace with your Canvas instance domain
+// Configuration comes from the environment, never the code: CANVAS_DOMAIN, plus either CANVAS_ACCESS_TOKEN or an
+// OAuth2 developer key (CANVAS_CLIENT_ID, CANVAS_CLIENT_SECRET and CANVAS_REFRESH_TOKEN)
+const domain = process.env.CANVAS_DOMAIN; // e.g. https://example.instructure.com
+const auth = process.env.CANVAS_CLIENT_ID ? {
+    clientId: process.env.CANVAS_CLIENT_ID,
+    clientSecret: process.env.CANVAS_CLIENT_SECRET,
+    refreshToken: process.env.CANVAS_REFRESH_TOKEN
+} : null;
 
-const canvas = new CanvasMultiCurl(accessToken, domain);
+const canvas = new CanvasMultiCurl(process.env.CANVAS_ACCESS_TOKEN, domain, 10, 200, { auth });
 
 async function enrollAndGradeUser(userId, courseId) {
     console.log(`Enrolling user ${userId} in course ${courseId}`);
 
     // Enroll the user in the course
-    await canvas.request(`courses/${courseId}/enrollments`, 'POST', {
-        enrollment: {
-            user_id: userId,
-            type: "StudentEnrollment",
-            enrollment_state: "active"
-        }
-    });
+    await canvas.enrollments.create(courseId, { user_id: userId });
     console.log(`User ${userId} enrolled in course ${courseId}`);
 
     // Get all assignments in the course
-    const assignments = await canvas.getList(`courses/${courseId}/assignments`);
+    const assignments = await canvas.assignments.list(courseId);
 
     // Generate random scores (some with no scores at all)
+    const grades = {};
     for (const assignment of assignments) {
         const score = Math.random() > 0.3 ? Math.floor(Math.random() * 101) : null; // 30% chance of being ungraded
 
         if (score !== null) {
-            await canvas.gradeItem(courseId, userId, assignment.id, score);
-            console.log(`Assigned score ${score}/100 for assignment: ${assignment.name}`);
+            grades[assignment.id] = { [userId]: score };
+            console.log(`Assigning score ${score}/100 for assignment: ${assignment.name}`);
         } else {
             console.log(`Skipped grading for assignment: ${assignment.name} (left ungraded)`);
         }
     }
 
+    // Post all the scores at once
+    const report = await canvas.bulkGrade(courseId, grades);
+    for (const failure of report.failed) {
+        console.error(`Failed to grade assignment ${failure.assignmentId}: ${failure.error.message}`);
+    }
+
     console.log(`Grading process complete for user ${userId} in course ${courseId}`);
 }
 
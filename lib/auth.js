@@ -0,0 +1,233 @@
+// OAuth2 access tokens that look after themselves: the developer key refresh token flow, and client credentials
+// (LTI Advantage style, a JWT signed with the tool's private key) for service-to-service use. Either one is passed
+// as the auth constructor option and hands out a current access token for every request, refreshing it shortly
+// before it expires or when Canvas rejects it.
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const { AuthenticationError, getCanvasMessage } = require('./errors');
+
+// Keeps tokens in a JSON file (readable only by its owner), so a refreshed token survives to the next run
+class FileTokenStore {
+    constructor(file) {
+        this.file = file;
+    }
+
+    async get() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async set(tokens) {
+        await fs.promises.writeFile(this.file, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+    }
+}
+
+// Keeps tokens for as long as the process runs
+class MemoryTokenStore {
+    constructor(tokens = null) {
+        this.tokens = tokens;
+    }
+
+    async get() {
+        return this.tokens;
+    }
+
+    async set(tokens) {
+        this.tokens = tokens;
+    }
+}
+
+// The store option can be a file path, or anything with get() and set(tokens) methods (sync or async), e.g. one
+// backed by a secrets manager. Tokens are { accessToken, refreshToken, expiresAt } with expiresAt in ms.
+function createTokenStore(store) {
+    if (!store) return new MemoryTokenStore();
+    if (typeof store === 'string') return new FileTokenStore(store);
+    if (typeof store.get === 'function' && typeof store.set === 'function') return store;
+    throw new TypeError('token store must be a file path or an object with get() and set(tokens) methods');
+}
+
+// What the two flows have in common: hand out the current token, and get a new one (only one at a time) when it's
+// missing, about to expire or has been rejected
+class TokenAuth {
+    constructor({ domain, tokenUrl, store, refreshMargin = 60 * 1000, timeout = 30000 }) {
+        this.tokenUrl = tokenUrl || `${domain}/login/oauth2/token`;
+        this.store = createTokenStore(store);
+        this.refreshMargin = refreshMargin; // refresh this long (ms) before the token expires
+        this.timeout = timeout;
+        this.tokens = null; // loaded from the store on first use
+        this.refreshing = null;
+    }
+
+    async getAccessToken() {
+        if (!this.tokens) {
+            this.tokens = { ...this.initialTokens, ...(await this.store.get()) };
+        }
+        if (!this.tokens.accessToken || (this.tokens.expiresAt && Date.now() >= this.tokens.expiresAt - this.refreshMargin)) {
+            await this.refresh();
+        }
+        return this.tokens.accessToken;
+    }
+
+    // Canvas rejected the token, so the next getAccessToken() gets a new one. Requests that were sent with the same
+    // token at the same time all end up here, but only the first one causes a refresh.
+    invalidate(token) {
+        if (this.tokens && this.tokens.accessToken === token) {
+            this.tokens = { ...this.tokens, accessToken: null };
+        }
+    }
+
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = this.requestToken()
+                .then(async tokens => {
+                    this.tokens = tokens;
+                    await this.store.set(tokens);
+                    return tokens;
+                })
+                .finally(() => { this.refreshing = null; });
+        }
+        return this.refreshing;
+    }
+
+    // POST to the token endpoint and turn the answer into { accessToken, refreshToken, expiresAt, ... }
+    async postToken(params) {
+        let response;
+        try {
+            response = await axios.post(this.tokenUrl, new URLSearchParams(params).toString(), {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                timeout: this.timeout
+            });
+        } catch (error) {
+            const body = error.response ? error.response.data : null;
+            const canvasMessage = (body && body.error_description) || getCanvasMessage(body) || error.message;
+            throw new AuthenticationError(`Couldn't get an access token from ${this.tokenUrl}: ${canvasMessage}`, {
+                url: this.tokenUrl,
+                method: 'POST',
+                status: error.response ? error.response.status : null,
+                body,
+                cause: error
+            });
+        }
+
+        const data = response.data || {};
+        return {
+            accessToken: data.access_token,
+            expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
+            user: data.user
+        };
+    }
+}
+
+// The developer key flow: a user authorized the key once, and its refresh token gets new access tokens (Canvas
+// access tokens last an hour). Canvas doesn't issue a new refresh token when refreshing, so the original is kept.
+class OAuth2Auth extends TokenAuth {
+    constructor(options) {
+        super(options);
+        const { clientId, clientSecret, refreshToken, accessToken, expiresAt } = options;
+        if (!clientId || !clientSecret) {
+            throw new TypeError('OAuth2 auth needs a clientId and clientSecret');
+        }
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.initialTokens = { accessToken, refreshToken, expiresAt };
+        // Who the tokens belong to, for keeping cached responses apart (never the tokens themselves)
+        this.identity = 'oauth2:' + crypto.createHash('sha256').update(`${this.tokenUrl} ${clientId} ${refreshToken || ''}`).digest('hex').slice(0, 16);
+    }
+
+    async requestToken() {
+        const refreshToken = this.tokens && this.tokens.refreshToken;
+        if (!refreshToken) {
+            throw new AuthenticationError('No refresh token to get a new access token with', { url: this.tokenUrl, method: 'POST' });
+        }
+        const tokens = await this.postToken({
+            grant_type: 'refresh_token',
+            client_id: this.clientId,
+            client_secret: this.clientSecret,
+            refresh_token: refreshToken
+        });
+        return { ...tokens, refreshToken };
+    }
+}
+
+// Client credentials: the tool signs a short-lived JWT with its private key and swaps it for an access token with
+// the scopes it needs. There's no refresh token; a new assertion is signed whenever a token is needed.
+class ClientCredentialsAuth extends TokenAuth {
+    constructor(options) {
+        super(options);
+        const { clientId, privateKey, keyId, scopes = [], audience } = options;
+        if (!clientId || !privateKey) {
+            throw new TypeError('Client credentials auth needs a clientId and privateKey');
+        }
+        this.clientId = clientId;
+        this.privateKey = privateKey; // PEM string or KeyObject
+        this.keyId = keyId; // the kid of the key in the tool's JWKS
+        this.scopes = Array.isArray(scopes) ? scopes : [scopes];
+        this.audience = audience || this.tokenUrl;
+        this.initialTokens = {};
+        this.identity = 'client_credentials:' + crypto.createHash('sha256').update(`${this.tokenUrl} ${clientId} ${this.scopes.join(' ')}`).digest('hex').slice(0, 16);
+    }
+
+    createAssertion() {
+        const now = Math.floor(Date.now() / 1000);
+        return signJwt({
+            iss: this.clientId,
+            sub: this.clientId,
+            aud: this.audience,
+            iat: now,
+            exp: now + 300,
+            jti: crypto.randomUUID()
+        }, this.privateKey, this.keyId);
+    }
+
+    async requestToken() {
+        return this.postToken({
+            grant_type: 'client_credentials',
+            client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+            client_assertion: this.createAssertion(),
+            scope: this.scopes.join(' ')
+        });
+    }
+}
+
+// An RS256 JWT, which is all client credentials needs, so no JWT library
+function signJwt(claims, privateKey, keyId) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const header = { alg: 'RS256', typ: 'JWT', ...(keyId ? { kid: keyId } : {}) };
+    const unsigned = `${encode(header)}.${encode(claims)}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(privateKey).toString('base64url');
+    return `${unsigned}.${signature}`;
+}
+
+// Whether a 401 means the token itself was no good (expired or revoked), as opposed to the user not being allowed
+// to do something. Canvas sends a WWW-Authenticate header and "Invalid access token." for the former.
+function isTokenRejected(response) {
+    if (!response || response.status !== 401) return false;
+    if (response.headers && response.headers['www-authenticate']) return true;
+    const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data || '');
+    return /invalid[ _]access[ _]token|expired/i.test(body);
+}
+
+// The auth constructor option: an object with getAccessToken() (like the classes above), or options for one of
+// them. Options with a privateKey are client credentials, anything else the refresh token flow. An object can also
+// have invalidate(token), which is called when Canvas rejects a token so the next getAccessToken() gets a new one;
+// without it a rejected token is just an AuthenticationError.
+function createAuth(auth, domain) {
+    if (!auth) return null;
+    if (typeof auth.getAccessToken === 'function') return auth;
+    return auth.privateKey ? new ClientCredentialsAuth({ domain, ...auth }) : new OAuth2Auth({ domain, ...auth });
+}
+
+module.exports = {
+    OAuth2Auth,
+    ClientCredentialsAuth,
+    FileTokenStore,
+    MemoryTokenStore,
+    createAuth,
+    isTokenRejected,
+    signJwt
+};
@@ -0,0 +1,299 @@
+// Response cache for GET requests. Entries are kept per token (so one user's view of Canvas is never served to
+// another) and per full URL including the query, and are revalidated with ETag/If-None-Match once their TTL runs
+// out, so an unchanged page costs a 304 instead of the whole payload.
+//
+// A backend (store) is anything with:
+//   get(key) -> entry or undefined
+//   set(key, entry)
+//   delete(key)
+//   keys() -> every key in the store
+// All methods may return promises.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// The response headers worth keeping: pagination links and what's needed to revalidate
+const KEPT_HEADERS = ['link', 'etag', 'last-modified', 'content-type'];
+
+// Parents that a list belongs to, e.g. the 1 in /courses/1/assignments
+const ROOT_SEGMENTS = 2;
+
+class MemoryCacheStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    get(key) {
+        return this.entries.get(key);
+    }
+
+    set(key, entry) {
+        this.entries.set(key, entry);
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    keys() {
+        return Array.from(this.entries.keys());
+    }
+}
+
+// One JSON file per entry in a directory, so the cache is shared between runs (and scripts). Each entry's key is
+// also kept in a small .key file next to it, so keys() (which every write's invalidation needs) never has to read
+// the response bodies, and keys already seen are remembered, so it mostly doesn't read anything but the directory.
+class DiskCacheStore {
+    constructor(dir) {
+        this.dir = dir;
+        this.knownKeys = new Map(); // entry file name -> key
+    }
+
+    nameFor(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    fileFor(key) {
+        return path.join(this.dir, this.nameFor(key) + '.json');
+    }
+
+    async get(key) {
+        try {
+            const entry = JSON.parse(await fs.promises.readFile(this.fileFor(key), 'utf8'));
+            return entry.key === key ? entry : undefined;
+        } catch (error) {
+            return undefined; // missing, or half-written by a crashed run
+        }
+    }
+
+    async set(key, entry) {
+        const name = this.nameFor(key);
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(path.join(this.dir, name + '.key'), key);
+        await fs.promises.writeFile(path.join(this.dir, name + '.json'), JSON.stringify({ ...entry, key }));
+        this.knownKeys.set(name + '.json', key);
+    }
+
+    async delete(key) {
+        const name = this.nameFor(key);
+        await fs.promises.rm(path.join(this.dir, name + '.json'), { force: true });
+        await fs.promises.rm(path.join(this.dir, name + '.key'), { force: true });
+        this.knownKeys.delete(name + '.json');
+    }
+
+    async keys() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const keys = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            if (!this.knownKeys.has(file)) {
+                try {
+                    this.knownKeys.set(file, await this.readKey(file));
+                } catch (error) {
+                    continue; // skip anything unreadable
+                }
+            }
+            keys.push(this.knownKeys.get(file));
+        }
+        return keys;
+    }
+
+    // An entry's key from its .key file, or from the entry itself if it was cached before there were .key files
+    async readKey(file) {
+        try {
+            return await fs.promises.readFile(path.join(this.dir, file.replace(/\.json$/, '.key')), 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8')).key;
+        }
+    }
+}
+
+// Turn a TTL pattern like 'courses/*/assignments' into a RegExp for the API path ('*' is one segment, '**' any number)
+function patternToRegExp(pattern) {
+    if (pattern instanceof RegExp) return pattern;
+    const source = pattern.replace(/^\/+|\/+$/g, '')
+        .split('/')
+        .map(segment => segment === '**' ? '.*' : segment === '*' ? '[^/]+' : segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('/');
+    return new RegExp(`^${source}$`);
+}
+
+// The part of a URL after /api/v1/, without the query, e.g. courses/1/assignments
+function apiPath(url) {
+    const pathname = new URL(url, 'http://canvas').pathname;
+    return pathname.replace(/^.*?\/api\/v1\//, '').replace(/^\/+|\/+$/g, '');
+}
+
+class ResponseCache {
+    /*
+    options can be true (in memory, default TTL), a directory to keep the cache on disk, a store, or an object:
+    {
+        store: 'memory' | directory | store object,
+        ttl: 60000,                      // ms a response is served without asking Canvas (0 to always revalidate)
+        ttls: { 'courses/*': 3600000 },  // per endpoint pattern, first match wins; null means don't cache
+        revalidate: true                 // send If-None-Match once an entry has expired
+    }
+    */
+    constructor(options = {}) {
+        if (typeof options !== 'object' || typeof options.get === 'function') {
+            options = { store: options };
+        }
+
+        const store = options.store;
+        if (!store || store === true || store === 'memory') {
+            this.store = new MemoryCacheStore();
+        } else if (typeof store === 'string') {
+            this.store = new DiskCacheStore(store);
+        } else if (typeof store.get === 'function' && typeof store.set === 'function') {
+            this.store = store;
+        } else {
+            throw new TypeError('cache store must be "memory", a directory, or an object with get, set, delete and keys methods');
+        }
+
+        this.ttl = options.ttl !== undefined ? options.ttl : 60000;
+        this.ttls = Object.entries(options.ttls || {}).map(([pattern, ttl]) => ({ pattern: patternToRegExp(pattern), ttl }));
+        this.revalidate = options.revalidate !== false;
+        this.stats = { hits: 0, revalidated: 0, misses: 0, stored: 0, invalidated: 0 };
+    }
+
+    // Only plain GETs are cached; set noCache on a request config to skip the cache for it
+    isCacheable(config) {
+        return config.method === 'GET' && !config.noCache && this.getTtl(config.url) !== null;
+    }
+
+    getTtl(url) {
+        const apiUrl = apiPath(url);
+        const rule = this.ttls.find(rule => rule.pattern.test(apiUrl));
+        return rule ? rule.ttl : this.ttl;
+    }
+
+    // Keyed by who's asking (a hash of the Authorization header the request is sent with, or the OAuth2 identity,
+    // and the user it's masquerading as; never the token itself) and the full URL, params included
+    getKey(config) {
+        const params = config.params ? new URLSearchParams(config.params).toString() : '';
+        const url = params ? `${config.url}${config.url.includes('?') ? '&' : '?'}${params}` : config.url;
+        const authorization = config.authIdentity ||
+            (config.headers && (config.headers.Authorization || config.headers.authorization)) || '';
+        const asUser = new URL(url, 'http://canvas').searchParams.get('as_user_id') || '';
+        const identity = crypto.createHash('sha256').update(`${authorization} ${asUser}`).digest('hex').slice(0, 16);
+        return `${identity} ${url}`;
+    }
+
+    async lookup(config) {
+        if (!this.isCacheable(config)) return null;
+        const entry = await this.store.get(this.getKey(config));
+        if (!entry) return null;
+        return { entry, fresh: Date.now() < entry.expiresAt };
+    }
+
+    // A response from the cache looks like one from Canvas (status 200, so paging works the same)
+    toResponse(entry, config) {
+        return { status: 200, headers: { ...entry.headers }, data: entry.data, config, cached: true };
+    }
+
+    // The cached response if it can be used without asking Canvas at all
+    async getFresh(config) {
+        const cached = await this.lookup(config);
+        if (cached && cached.fresh) {
+            this.stats.hits++;
+            return this.toResponse(cached.entry, config);
+        }
+        return null;
+    }
+
+    // Headers to make a request conditional on the cached copy having changed
+    getConditionalHeaders(cached) {
+        if (!this.revalidate || !cached || !cached.entry.headers.etag) return null;
+        return { 'If-None-Match': cached.entry.headers.etag };
+    }
+
+    async save(config, response) {
+        const headers = {};
+        KEPT_HEADERS.forEach(name => {
+            if (response.headers && response.headers[name] !== undefined) headers[name] = response.headers[name];
+        });
+
+        const ttl = this.getTtl(config.url);
+        // Without an ETag an expired entry can't be revalidated, so there's no point keeping it past its TTL
+        if (!ttl && !headers.etag) return;
+
+        await this.store.set(this.getKey(config), {
+            url: config.url,
+            headers,
+            data: response.data,
+            storedAt: Date.now(),
+            expiresAt: Date.now() + ttl
+        });
+        this.stats.stored++;
+    }
+
+    // Canvas said 304: serve the cached copy and start its TTL again
+    async refresh(config, cached) {
+        const entry = { ...cached.entry, expiresAt: Date.now() + this.getTtl(config.url) };
+        await this.store.set(this.getKey(config), entry);
+        this.stats.revalidated++;
+        return this.toResponse(entry, config);
+    }
+
+    /*
+    Forget cached responses that a write to url could have changed, for every token:
+    - the entity itself and anything under it (PUT courses/1/assignments/5 -> courses/1/assignments/5/...)
+    - the lists it sits in (courses/1/assignments, courses/1)
+    - other lists of the same kind under the same course/account/user (a grade posted through
+      courses/1/assignments/5/submissions/update_grades -> courses/1/students/submissions)
+    Pass a RegExp or function of the API path instead to choose for yourself.
+    */
+    async invalidate(urlOrMatcher) {
+        let matches;
+        if (typeof urlOrMatcher === 'function') {
+            matches = urlOrMatcher;
+        } else if (urlOrMatcher instanceof RegExp) {
+            matches = apiUrl => urlOrMatcher.test(apiUrl);
+        } else {
+            matches = this.getRelatedMatcher(apiPath(urlOrMatcher));
+        }
+
+        let count = 0;
+        for (const key of await this.store.keys()) {
+            const url = key.slice(key.indexOf(' ') + 1);
+            if (matches(apiPath(url))) {
+                await this.store.delete(key);
+                count++;
+            }
+        }
+        this.stats.invalidated += count;
+        return count;
+    }
+
+    getRelatedMatcher(writePath) {
+        const segments = writePath.split('/');
+        const ancestors = new Set(segments.map((segment, i) => segments.slice(0, i).join('/')).filter(Boolean));
+        const root = segments.slice(0, ROOT_SEGMENTS).join('/');
+        const kinds = new Set(segments.slice(ROOT_SEGMENTS).filter(segment => !/^\d+$/.test(segment)));
+
+        return cachedPath => {
+            if (cachedPath === writePath || cachedPath.startsWith(writePath + '/') || ancestors.has(cachedPath)) {
+                return true;
+            }
+            const cachedSegments = cachedPath.split('/');
+            return cachedSegments.slice(0, ROOT_SEGMENTS).join('/') === root &&
+                kinds.has(cachedSegments[cachedSegments.length - 1]);
+        };
+    }
+}
+
+// The cache constructor option: false/undefined for no cache, or anything ResponseCache takes
+function createCache(options) {
+    if (!options) return null;
+    if (options instanceof ResponseCache) return options;
+    return new ResponseCache(options === true ? {} : options);
+}
+
+module.exports = { ResponseCache, MemoryCacheStore, DiskCacheStore, createCache, patternToRegExp, apiPath };
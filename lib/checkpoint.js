@@ -0,0 +1,128 @@
+// Checkpoint stores let a long getAllResultsFromArray run pick up where it stopped. A store is anything with:
+//   load(key)                 -> { items: { item: data } } for the items that were finished, or null
+//   startItem(key, item)      -> an item is being fetched (again), so any pages saved by an earlier run that
+//                                didn't finish it are forgotten
+//   savePage(key, item, data) -> records one page of data for an item
+//   completeItem(key, item)   -> marks an item as having all of its pages
+//   clear(key)                -> forgets the run once it has finished
+// All methods may return promises.
+const fs = require('fs');
+
+// Helper function to add a page of data to what's been gathered for an item, the same way getAllResultsFromArray does
+function mergePage(existing, data) {
+    if (Array.isArray(data)) {
+        return (existing || []).concat(data);
+    }
+    return data;
+}
+
+// Keeps checkpoints as one JSON record per line in a local file, so they survive crashes and restarts
+class FileCheckpointStore {
+    constructor(file) {
+        this.file = file;
+    }
+
+    async readRecords() {
+        try {
+            const contents = await fs.promises.readFile(this.file, 'utf8');
+            const records = [];
+            for (const line of contents.split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    records.push(JSON.parse(line));
+                } catch (error) {
+                    break; // a half-written last line from a crash; everything before it is still good
+                }
+            }
+            return records;
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async load(key) {
+        const pages = {};
+        const completed = new Set();
+        for (const record of await this.readRecords()) {
+            if (record.key !== key) continue;
+            if (record.type === 'start') {
+                delete pages[record.item];
+            } else if (record.type === 'page') {
+                pages[record.item] = mergePage(pages[record.item], record.data);
+            } else if (record.type === 'complete') {
+                completed.add(String(record.item));
+            }
+        }
+
+        if (!completed.size) return null;
+        const items = {};
+        completed.forEach(item => { items[item] = pages[item] !== undefined ? pages[item] : []; });
+        return { items };
+    }
+
+    async startItem(key, item) {
+        await fs.promises.appendFile(this.file, JSON.stringify({ key, type: 'start', item }) + '\n');
+    }
+
+    async savePage(key, item, data) {
+        await fs.promises.appendFile(this.file, JSON.stringify({ key, type: 'page', item, data }) + '\n');
+    }
+
+    async completeItem(key, item) {
+        await fs.promises.appendFile(this.file, JSON.stringify({ key, type: 'complete', item }) + '\n');
+    }
+
+    async clear(key) {
+        const others = (await this.readRecords()).filter(record => record.key !== key);
+        if (others.length) {
+            await fs.promises.writeFile(this.file, others.map(record => JSON.stringify(record)).join('\n') + '\n');
+        } else {
+            await fs.promises.rm(this.file, { force: true });
+        }
+    }
+}
+
+// Keeps checkpoints in memory, which only helps within one process (e.g. retrying a call after an error)
+class MemoryCheckpointStore {
+    constructor() {
+        this.runs = {};
+    }
+
+    async load(key) {
+        const run = this.runs[key];
+        if (!run || !run.completed.size) return null;
+        const items = {};
+        run.completed.forEach(item => { items[item] = run.pages[item] !== undefined ? run.pages[item] : []; });
+        return { items };
+    }
+
+    async startItem(key, item) {
+        const run = this.runs[key];
+        if (run) delete run.pages[item];
+    }
+
+    async savePage(key, item, data) {
+        const run = this.runs[key] || (this.runs[key] = { pages: {}, completed: new Set() });
+        run.pages[item] = mergePage(run.pages[item], data);
+    }
+
+    async completeItem(key, item) {
+        const run = this.runs[key] || (this.runs[key] = { pages: {}, completed: new Set() });
+        run.completed.add(String(item));
+    }
+
+    async clear(key) {
+        delete this.runs[key];
+    }
+}
+
+// The checkpoint option can be a file path or a store
+function createCheckpointStore(checkpoint) {
+    if (!checkpoint) return null;
+    if (typeof checkpoint === 'string') return new FileCheckpointStore(checkpoint);
+    if (['load', 'startItem', 'savePage', 'completeItem', 'clear'].every(method => typeof checkpoint[method] === 'function')) return checkpoint;
+    throw new TypeError('checkpoint must be a file path or a store with load, startItem, savePage, completeItem and clear methods');
+}
+
+module.exports = { FileCheckpointStore, MemoryCheckpointStore, createCheckpointStore, mergePage };
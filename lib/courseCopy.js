@@ -0,0 +1,152 @@
+// Course copies through content_migrations, for term rollover and the like: one course_copy_importer migration per
+// target course, each waited on until Canvas has finished with it, and every migration issue collected into one
+// report. See copyCourse() below.
+const { JobFailedError, AbortError } = require('./errors');
+
+// Canvas's date_shift_options from ours: shift from the old dates to the new ones, or removeDates to clear them
+function dateShiftOptions(canvas, dateShift) {
+    const { removeDates, ...shift } = dateShift;
+    if (removeDates) {
+        return { remove_dates: true };
+    }
+    return { shift_dates: true, ...canvas.toCanvasParams(shift) };
+}
+
+// The body that creates one course copy
+function migrationBody(canvas, sourceId, targetId, options) {
+    const { select = null, dateShift = null, settings = {} } = options;
+    const body = {
+        migration_type: 'course_copy_importer',
+        settings: { source_course_id: sourceId, ...canvas.toCanvasParams(settings) }
+    };
+    if (select) {
+        body.select = select;
+    }
+    const shift = typeof dateShift === 'function' ? dateShift(targetId) : dateShift;
+    if (shift) {
+        body.date_shift_options = dateShiftOptions(canvas, shift);
+    }
+    return body;
+}
+
+// Create, wait on and collect the issues of the copy into one target course
+async function copyInto(canvas, sourceId, targetId, options) {
+    const { wait = true, signal = null } = options;
+    const endpoint = `courses/${targetId}/content_migrations`;
+    const failures = [];
+
+    const response = await canvas.processRequest(canvas.createRequestConfig(endpoint, 'POST', migrationBody(canvas, sourceId, targetId, options)), failures);
+    if (!response) {
+        return { targetId, migration: null, issues: [], error: failures[failures.length - 1] };
+    }
+    if (response.dryRun || !wait) {
+        return { targetId, migration: response.data, issues: [], error: null };
+    }
+
+    let migration = response.data;
+    let error = null;
+    try {
+        const waitOptions = { signal, ...(typeof wait === 'object' ? wait : {}) };
+        if (migration.progress_url) {
+            await canvas.waitForProgress(migration.progress_url, waitOptions);
+        } else {
+            await canvas.waitForJob(migration, `${endpoint}/${migration.id}`, {
+                isFinished: job => ['completed', 'failed'].includes(job.workflow_state),
+                isFailed: job => job.workflow_state === 'failed',
+                getCompletion: () => undefined,
+                describeFailure: job => `Course copy ${job.id} into course ${targetId} failed`
+            }, waitOptions);
+        }
+    } catch (caught) {
+        error = caught;
+    }
+    if (error instanceof AbortError) {
+        return { targetId, migration, issues: [], error };
+    }
+
+    // The migration as it ended up, and what Canvas had to say about it (issues explain failures too)
+    const finished = await canvas.processRequest(canvas.createRequestConfig(`${endpoint}/${migration.id}`), failures);
+    if (finished) {
+        migration = finished.data;
+    }
+    if (!error && migration.workflow_state === 'failed') {
+        error = new JobFailedError(`Course copy ${migration.id} into course ${targetId} failed`, { url: `${endpoint}/${migration.id}`, method: 'GET', status: 200, body: migration });
+    }
+
+    let issues = [];
+    if (migration.migration_issues_count !== 0) {
+        const list = await canvas.getList(`${endpoint}/${migration.id}/migration_issues`);
+        issues = Array.from(list);
+        failures.push(...list.report.failures);
+    }
+    if (!error && failures.length) {
+        error = failures[failures.length - 1];
+    }
+    return { targetId, migration, issues, error };
+}
+
+/*
+Copy sourceId into each of targetIds, maxActive copies at a time (each one's requests still go through the
+limiter). options:
+    select        what to copy, as Canvas's select parameter, e.g. { modules: [12, 13], assignments: [40] } (source
+                  course IDs; other types are quizzes, pages, discussion_topics, files, folders, announcements,
+                  calendar_events, rubrics...). Everything when left out.
+    dateShift     { oldStartDate, oldEndDate, newStartDate, newEndDate, daySubstitutions } to shift due dates and
+                  the like, or { removeDates: true }. Can be a function of the target ID, for per-course terms.
+    settings      more migration settings, camelCase or snake_case (e.g. { importBlueprintSettings: true })
+    wait          wait for each copy to finish (default true), or waitForProgress options (interval, timeout...)
+    maxActive     how many copies to have going at once (default 40)
+    signal        an AbortSignal: copies not started yet aren't, and waiting stops (Canvas carries on with the rest)
+
+Resolves with { complete, aborted, succeeded: [{ targetId, migration }], failed: [{ targetId, migration, error }],
+issues: [{ targetId, migrationId, ...issue }], summary }, where issues are Canvas's migration issues (issue_type
+'error', 'warning' or 'todo', with description, error_message and fix_issue_html_url) and summary counts it all up:
+{ courses, succeeded, failed, errors, warnings, todos }. Failed copies are reported there rather than thrown, and
+a copyComplete ({ targetId, migration, issues, error }) event goes out as each one finishes.
+*/
+async function copyCourse(canvas, sourceId, targetIds, options = {}) {
+    const { maxActive = 40, signal = null } = options;
+    const report = { complete: true, aborted: false, succeeded: [], failed: [], issues: [] };
+
+    let next = 0;
+    const worker = async () => {
+        while (next < targetIds.length) {
+            const targetId = targetIds[next++];
+            let result;
+            if (signal && signal.aborted) {
+                result = { targetId, migration: null, issues: [], error: new AbortError(`Stopped before copying into course ${targetId}`) };
+            } else {
+                try {
+                    result = await copyInto(canvas, sourceId, targetId, options);
+                } catch (error) {
+                    result = { targetId, migration: null, issues: [], error };
+                }
+            }
+
+            const migrationId = result.migration ? result.migration.id : null;
+            result.issues.forEach(issue => report.issues.push({ targetId, migrationId, ...issue }));
+            if (result.error) {
+                report.failed.push({ targetId, migration: result.migration, error: result.error });
+            } else {
+                report.succeeded.push({ targetId, migration: result.migration });
+            }
+            canvas.emit('copyComplete', result);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(maxActive, targetIds.length)) }, worker));
+
+    report.complete = report.failed.length === 0;
+    report.aborted = Boolean(signal && signal.aborted);
+    const countIssues = type => report.issues.filter(issue => issue.issue_type === type).length;
+    report.summary = {
+        courses: targetIds.length,
+        succeeded: report.succeeded.length,
+        failed: report.failed.length,
+        errors: countIssues('error'),
+        warnings: countIssues('warning'),
+        todos: countIssues('todo')
+    };
+    return report;
+}
+
+module.exports = { copyCourse, migrationBody };
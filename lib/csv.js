@@ -0,0 +1,87 @@
+// Reading and writing CSV, for the CLI's grade files and CSV output. Nested records are flattened into dotted
+// columns (user.name, submission.score); arrays are written as JSON.
+
+// Parse CSV text (RFC 4180: quoted fields can hold commas, quotes as "" and line breaks) into an array of objects
+// keyed by the header row
+function parseCsv(text) {
+    const rows = parseRows(text.replace(/^\uFEFF/, ''));
+    if (!rows.length) return [];
+
+    const header = rows[0].map(name => name.trim());
+    return rows.slice(1)
+        .filter(row => row.some(value => value !== ''))
+        .map(row => Object.fromEntries(header.map((name, index) => [name, row[index] !== undefined ? row[index] : ''])));
+}
+
+// Parse CSV text into an array of rows, each an array of strings
+function parseRows(text) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    if (value !== '' || row.length) {
+        row.push(value);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// { user: { name: 'A' }, tags: [1, 2] } -> { 'user.name': 'A', tags: '[1,2]' }
+function flattenRecord(record, prefix = '', flat = {}) {
+    for (const [key, value] of Object.entries(record || {})) {
+        const column = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+            flattenRecord(value, column, flat);
+        } else {
+            flat[column] = value;
+        }
+    }
+    return flat;
+}
+
+// Quote a value if it needs it
+function formatCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text;
+    if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+    } else {
+        text = String(value);
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsvRow(values) {
+    return values.map(formatCsvValue).join(',') + '\n';
+}
+
+module.exports = { parseCsv, parseRows, flattenRecord, formatCsvValue, formatCsvRow };
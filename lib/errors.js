@@ -0,0 +1,131 @@
+// Error classes for failed Canvas requests. Every error carries the request's url, method, HTTP status
+// (null if there was no response), the Canvas error body and how many times the request was retried.
+
+class CanvasError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.url = details.url || null;
+        this.method = details.method || null;
+        this.status = details.status !== undefined ? details.status : null;
+        this.body = details.body !== undefined ? details.body : null;
+        this.retries = details.retries || 0;
+        if (details.cause) {
+            this.cause = details.cause;
+        }
+    }
+}
+
+// Still throttled (403 "Rate Limit Exceeded") after running out of retries
+class RateLimitError extends CanvasError {}
+
+// 401, or no access token could be had (an OAuth2 refresh or client credentials exchange failed)
+class AuthenticationError extends CanvasError {}
+
+// 403 for anything other than throttling, usually a missing permission on the token
+class ForbiddenError extends CanvasError {}
+
+// 404
+class NotFoundError extends CanvasError {}
+
+// 422, Canvas didn't like the data that was sent; `errors` has the per-field messages if Canvas gave any
+class ValidationError extends CanvasError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.errors = (details.body && details.body.errors) || null;
+    }
+}
+
+// No response at all: DNS, connection resets, timeouts, etc. `code` is the Node/axios error code
+class NetworkError extends CanvasError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.code = (details.cause && details.cause.code) || null;
+        this.timeout = ['ECONNABORTED', 'ETIMEDOUT'].includes(this.code);
+    }
+}
+
+// Canvas answered, but not with something we know what to do with (other statuses, lists that aren't lists, etc.)
+class UnexpectedResponseError extends CanvasError {}
+
+// A GraphQL response came back with an errors array; `errors` has them and `body` has any partial data
+class GraphQLError extends CanvasError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.errors = (details.body && details.body.errors) || [];
+    }
+}
+
+// A Canvas Progress (or other background job like an SIS import) finished in a failed state
+class JobFailedError extends CanvasError {}
+
+// Gave up waiting for a Canvas Progress or other background job
+class JobTimeoutError extends CanvasError {}
+
+// Stopped on purpose through an AbortSignal
+class AbortError extends CanvasError {}
+
+// Helper function to pull a readable message out of the different shapes of Canvas error bodies
+function getCanvasMessage(body) {
+    if (!body) return null;
+    if (typeof body === 'string') return body.slice(0, 200);
+    if (body.message) return body.message;
+    if (typeof body.error === 'string') return body.error;
+    if (Array.isArray(body.errors)) {
+        return body.errors.map(error => (error && error.message) || JSON.stringify(error)).join('; ');
+    }
+    if (body.errors) return JSON.stringify(body.errors);
+    return null;
+}
+
+// Build the right kind of error for a failed response from makeRequest
+function errorFromResponse(response, config, retries = 0, isRateLimitError = false) {
+    const details = {
+        url: config.url,
+        method: config.method,
+        status: response.status,
+        body: response.data,
+        retries: retries,
+        cause: response.error
+    };
+    const canvasMessage = getCanvasMessage(response.data);
+    const describe = (label) => `${label} for ${config.method} ${config.url}${canvasMessage ? `: ${canvasMessage}` : ''}`;
+
+    if (response.status === null || response.status === undefined) {
+        const reason = response.error ? response.error.message : 'no response';
+        return new NetworkError(`Network error for ${config.method} ${config.url}: ${reason}`, details);
+    }
+    if (response.status === 401) {
+        return new AuthenticationError(describe('401 Unauthorized'), details);
+    }
+    if (response.status === 403 && isRateLimitError) {
+        return new RateLimitError(describe(`Exceeded retry limit after ${retries} rate limit retries`), details);
+    }
+    if (response.status === 403) {
+        return new ForbiddenError(describe('403 Forbidden'), details);
+    }
+    if (response.status === 404) {
+        return new NotFoundError(describe('404 Not Found'), details);
+    }
+    if (response.status === 422) {
+        return new ValidationError(describe('422 Unprocessable Entity'), details);
+    }
+    return new UnexpectedResponseError(describe(`${response.status} error`), details);
+}
+
+module.exports = {
+    CanvasError,
+    RateLimitError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    ValidationError,
+    NetworkError,
+    UnexpectedResponseError,
+    GraphQLError,
+    JobFailedError,
+    JobTimeoutError,
+    AbortError,
+    getCanvasMessage,
+    errorFromResponse
+};
@@ -0,0 +1,296 @@
+// Write list results out for reporting: flattened CSV, NDJSON, or a SQLite table kept up to date by ID. Each one
+// takes a list of records (getList, getSubmissions), the object getAllResultsFromArray returns (each record gets an
+// item field saying which item it came from, or a field per placeholder for patterns with several), or an async
+// iterable of pages like iterate() and iterateFromArray(), so big lists can be written out as they arrive instead of
+// held in memory.
+const fs = require('fs');
+const { flattenRecord, formatCsvRow } = require('./csv');
+
+// Every record in a source, one at a time
+async function* recordsOf(source) {
+    if (Array.isArray(source)) {
+        yield* source;
+    } else if (source && typeof source[Symbol.asyncIterator] === 'function') {
+        for await (const page of source) {
+            if (Array.isArray(page)) {
+                yield* page;
+            } else if (page && Array.isArray(page.data)) {
+                for (const record of page.data) yield withItem(page.item, record); // iterateFromArray
+            } else {
+                yield page;
+            }
+        }
+    } else if (source && typeof source === 'object') {
+        yield* nestedRecords(source, (source.report && source.report.placeholders) || ['item'], {});
+    } else {
+        throw new TypeError('Expected a list of records, getAllResultsFromArray results or an async iterable of pages');
+    }
+}
+
+// Records from getAllResultsFromArray results, which are nested one level per placeholder when there are several
+function* nestedRecords(results, names, params) {
+    const [name, ...rest] = names;
+    for (const value of Object.keys(results)) {
+        const combination = { ...params, [name]: value };
+        if (rest.length) {
+            yield* nestedRecords(results[value] || {}, rest, combination);
+        } else {
+            const item = Object.keys(combination).length > 1 ? combination : value;
+            for (const record of [].concat(results[value])) yield withItem(item, record);
+        }
+    }
+}
+
+// A record with where it came from: an item field, or the placeholder values for a pattern with several
+function withItem(item, record) {
+    const source = item && typeof item === 'object' ? item : { item };
+    return record && typeof record === 'object' ? { ...source, ...record } : { ...source, value: record };
+}
+
+// A value at a dotted path, e.g. 'user.login_id' or 'rubric_assessment.crit_1.points'
+function getPath(record, path) {
+    if (record && Object.prototype.hasOwnProperty.call(record, path)) return record[path];
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), record);
+}
+
+/*
+Columns can be given as a list of dotted paths (['id', 'user.name']) or as { header: path or function(record) }
+({ ID: 'id', Student: 'user.sortable_name', Late: s => s.late ? 'yes' : '' }). Returns [{ header, get }].
+*/
+function resolveColumns(columns) {
+    const entries = Array.isArray(columns) ? columns.map(path => [path, path]) : Object.entries(columns);
+    return entries.map(([header, path]) => ({
+        header,
+        get: typeof path === 'function' ? path : record => getPath(record, path)
+    }));
+}
+
+// Where output goes: a file path (created or replaced), or a writable stream such as process.stdout (left open).
+// Anything with a write(text) method will do; only a real stream's false return is waited on.
+function openOutput(destination) {
+    const stream = typeof destination === 'string' ? fs.createWriteStream(destination) : destination;
+    if (!stream || typeof stream.write !== 'function') {
+        throw new TypeError('Expected a file path or a writable stream to export to');
+    }
+
+    let failed = null;
+    const onError = error => { failed = error; };
+    if (typeof stream.on === 'function') {
+        stream.on('error', onError);
+    }
+    return {
+        async write(text) {
+            if (failed) throw failed;
+            if (stream.write(text) === false) {
+                await new Promise((resolve, reject) => {
+                    stream.once('drain', resolve);
+                    stream.once('error', reject);
+                });
+            }
+        },
+        async end() {
+            if (typeof destination !== 'string') {
+                if (typeof stream.removeListener === 'function') stream.removeListener('error', onError);
+                if (failed) throw failed;
+                return;
+            }
+            if (failed) throw failed;
+            await new Promise((resolve, reject) => {
+                stream.once('error', reject);
+                stream.end(resolve);
+            });
+        }
+    };
+}
+
+/*
+Write records as CSV. Nested fields become dotted columns (user.name); arrays are written as JSON. options:
+    columns       which columns, in order (see resolveColumns). Without it they're worked out from the first
+                  sampleSize records, so a field that first shows up later in a stream isn't written.
+    sampleSize    how many records to look at for the columns (default 1000)
+Resolves with { records, columns }.
+*/
+async function exportCsv(source, destination, options = {}) {
+    const { sampleSize = 1000 } = options;
+    const output = openOutput(destination);
+    const records = recordsOf(source)[Symbol.asyncIterator](); // stepped by hand, so sampling doesn't end it
+
+    let columns = options.columns ? resolveColumns(options.columns) : null;
+    const sample = [];
+    let next;
+    if (!columns) {
+        while (sample.length < sampleSize && !(next = await records.next()).done) {
+            sample.push(next.value);
+        }
+        const headers = new Set();
+        sample.forEach(record => Object.keys(flattenRecord(record)).forEach(header => headers.add(header)));
+        columns = resolveColumns([...headers]);
+    }
+
+    let count = 0;
+    const writeRecord = record => {
+        count++;
+        return output.write(formatCsvRow(columns.map(column => column.get(record))));
+    };
+
+    await output.write(formatCsvRow(columns.map(column => column.header)));
+    for (const record of sample) {
+        await writeRecord(record);
+    }
+    if (!next || !next.done) {
+        while (!(next = await records.next()).done) {
+            await writeRecord(next.value);
+        }
+    }
+    await output.end();
+    return { records: count, columns: columns.map(column => column.header) };
+}
+
+// Write records as newline-delimited JSON, one per line. Resolves with { records }.
+async function exportNdjson(source, destination) {
+    const output = openOutput(destination);
+    let count = 0;
+    for await (const record of recordsOf(source)) {
+        await output.write(JSON.stringify(record) + '\n');
+        count++;
+    }
+    await output.end();
+    return { records: count };
+}
+
+// node:sqlite (Node 22.5+) if it's there, otherwise better-sqlite3 if it's installed. Only loaded when used.
+function openSqlite(file) {
+    try {
+        const { DatabaseSync } = require('node:sqlite');
+        return new DatabaseSync(file);
+    } catch (error) {
+        if (error.code !== 'ERR_UNKNOWN_BUILTIN_MODULE' && error.code !== 'MODULE_NOT_FOUND') throw error;
+    }
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('Exporting to SQLite needs Node 22.5+ (node:sqlite) or the better-sqlite3 package');
+    }
+    return new Database(file);
+}
+
+function quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// Column type from the first value seen; no type (so anything goes) when that's null
+function sqliteType(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'boolean' || (typeof value === 'number' && Number.isInteger(value)) || typeof value === 'bigint') return 'INTEGER';
+    if (typeof value === 'number') return 'REAL';
+    return 'TEXT';
+}
+
+function sqliteValue(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+/*
+Write records into a SQLite table, creating it (and adding columns as new fields turn up) from the records
+themselves. Nested fields become dotted columns as in CSV. Rows are upserted by key (default 'id', the primary key),
+so pulling the same list again refreshes the table instead of duplicating it; a record only overwrites the columns
+it has. database is a file path or an open node:sqlite / better-sqlite3 database. options:
+    key           the column to upsert by, or null to just insert
+    columns       which columns (see resolveColumns), instead of every field
+    batchSize     records per transaction (default 500)
+Resolves with { records, table, columns }.
+*/
+async function exportSqlite(source, database, table, options = {}) {
+    const { key = 'id', batchSize = 500 } = options;
+    if (!table) {
+        throw new TypeError('exportSqlite needs a table name');
+    }
+    const db = typeof database === 'string' ? openSqlite(database) : database;
+    const columns = options.columns ? resolveColumns(options.columns) : null;
+    const tableName = quoteIdentifier(table);
+
+    const known = new Set(db.prepare(`PRAGMA table_info(${tableName})`).all().map(column => column.name));
+    const statements = new Map();
+    let count = 0;
+
+    const toRow = record => {
+        if (!columns) return flattenRecord(record);
+        return Object.fromEntries(columns.map(column => [column.header, column.get(record)]));
+    };
+
+    const addColumns = row => {
+        const missing = Object.keys(row).filter(name => !known.has(name));
+        if (!missing.length) return;
+        if (!known.size) {
+            const definitions = missing.map(name => [quoteIdentifier(name), sqliteType(row[name]), key && name === key ? 'PRIMARY KEY' : '']
+                .filter(Boolean).join(' '));
+            db.exec(`CREATE TABLE IF NOT EXISTS ${tableName} (${definitions.join(', ')})`);
+        } else {
+            for (const name of missing) {
+                const definition = [quoteIdentifier(name), sqliteType(row[name])].filter(Boolean).join(' ');
+                db.exec(`ALTER TABLE ${tableName} ADD COLUMN ${definition}`);
+            }
+        }
+        missing.forEach(name => known.add(name));
+    };
+
+    // One statement per set of columns, since a record only sets the columns it has
+    const statementFor = names => {
+        const signature = names.join('\u0000');
+        if (!statements.has(signature)) {
+            const quoted = names.map(quoteIdentifier);
+            let sql = `INSERT INTO ${tableName} (${quoted.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`;
+            if (key) {
+                const updates = quoted.filter((_, index) => names[index] !== key).map(name => `${name} = excluded.${name}`);
+                sql += updates.length ? ` ON CONFLICT(${quoteIdentifier(key)}) DO UPDATE SET ${updates.join(', ')}` : ` ON CONFLICT(${quoteIdentifier(key)}) DO NOTHING`;
+            }
+            statements.set(signature, db.prepare(sql));
+        }
+        return statements.get(signature);
+    };
+
+    const writeBatch = batch => {
+        db.exec('BEGIN');
+        try {
+            for (const row of batch) {
+                addColumns(row);
+                const names = Object.keys(row).filter(name => row[name] !== undefined);
+                statementFor(names).run(...names.map(name => sqliteValue(row[name])));
+            }
+            db.exec('COMMIT');
+        } catch (error) {
+            db.exec('ROLLBACK');
+            throw error;
+        }
+    };
+
+    try {
+        let batch = [];
+        for await (const record of recordsOf(source)) {
+            const row = toRow(record);
+            if (key && (row[key] === undefined || row[key] === null)) {
+                throw new TypeError(`Record ${count + batch.length + 1} has no ${key} to upsert by`);
+            }
+            batch.push(row);
+            if (batch.length >= batchSize) {
+                writeBatch(batch);
+                count += batch.length;
+                batch = [];
+            }
+        }
+        if (batch.length) {
+            writeBatch(batch);
+            count += batch.length;
+        }
+    } finally {
+        if (typeof database === 'string') db.close();
+    }
+    return { records: count, table, columns: [...known] };
+}
+
+module.exports = { exportCsv, exportNdjson, exportSqlite, recordsOf, getPath, openSqlite };
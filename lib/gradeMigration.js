@@ -0,0 +1,244 @@
+// Declarative grade migration from one course to another, for many users at once. See migrateGrades() below
+// and migrateUsers.js for a real spec.
+
+// Does an assignment match a spec matcher: a name, an ID, a RegExp for the name, a function, or { id } / { name }
+function matchesAssignment(matcher, assignment) {
+    if (typeof matcher === 'string') return assignment.name === matcher;
+    if (typeof matcher === 'number') return assignment.id === matcher;
+    if (matcher instanceof RegExp) return matcher.test(assignment.name);
+    if (typeof matcher === 'function') return Boolean(matcher(assignment));
+    if (matcher && typeof matcher === 'object') {
+        return (matcher.id === undefined || String(assignment.id) === String(matcher.id)) &&
+            (matcher.name === undefined || assignment.name === matcher.name);
+    }
+    return false;
+}
+
+// How a matcher reads in a report
+function describeMatcher(matcher) {
+    if (typeof matcher === 'function') return matcher.name || 'custom matcher';
+    if (matcher instanceof RegExp) return String(matcher);
+    if (matcher && typeof matcher === 'object') return JSON.stringify(matcher);
+    return String(matcher);
+}
+
+// Whether a submission has anything worth carrying over
+function hasGrade(submission) {
+    return Boolean(submission) && (submission.excused ||
+        (submission.score !== null && submission.score !== undefined) ||
+        (submission.grade !== null && submission.grade !== undefined));
+}
+
+// The grade to send for a source submission, before any transform: its score, or its grade if it doesn't have
+// one (complete/incomplete), or an excusal
+function gradeOf(submission) {
+    if (submission.excused) return { excuse: true };
+    return submission.score !== null && submission.score !== undefined ? submission.score : submission.grade;
+}
+
+// Whether an existing grade in the target course is the same as the one we'd send
+function sameGrade(existing, incoming) {
+    if (incoming && typeof incoming === 'object') {
+        if (incoming.excuse) return Boolean(existing.excused);
+        incoming = incoming.grade;
+    }
+    if (typeof incoming === 'number') return existing.score === incoming;
+    return existing.grade === String(incoming) || (existing.score !== null && String(existing.score) === String(incoming));
+}
+
+// Turn the spec's rules into ones with their assignments looked up, noting anything that can't be found
+function resolveRules(rules, sourceAssignments, targetAssignments, missing) {
+    return rules.map((rule, index) => {
+        const target = targetAssignments.find(assignment => matchesAssignment(rule.target, assignment));
+        if (!target) {
+            missing.push({ rule: index, course: 'target', matcher: describeMatcher(rule.target) });
+            return null;
+        }
+
+        let sourceMatchers;
+        if (rule.anyOf) {
+            sourceMatchers = rule.anyOf;
+        } else if (rule.source === null) {
+            sourceMatchers = []; // only ever gets its default
+        } else {
+            sourceMatchers = [rule.source !== undefined ? rule.source : rule.target];
+        }
+
+        // In the order the matchers were given, so the first one listed wins when a user has several
+        const sources = [];
+        for (const matcher of sourceMatchers) {
+            const found = sourceAssignments.filter(assignment => matchesAssignment(matcher, assignment));
+            if (!found.length && rule.default === undefined && !rule.anyOf) {
+                missing.push({ rule: index, course: 'source', matcher: describeMatcher(matcher) });
+            }
+            found.forEach(assignment => { if (!sources.includes(assignment)) sources.push(assignment); });
+        }
+
+        return { ...rule, index, targetAssignment: target, sourceAssignments: sources };
+    }).filter(Boolean);
+}
+
+// Work out what one rule gives one user: { grade, from } or null for nothing to send
+function applyRule(rule, userId, submissionsFor) {
+    for (const sourceAssignment of rule.sourceAssignments) {
+        const submission = submissionsFor(sourceAssignment.id);
+        if (!hasGrade(submission)) continue;
+
+        let grade = rule.grade !== undefined ? rule.grade : gradeOf(submission);
+        if (rule.transform) {
+            grade = rule.transform(grade, { submission, userId, sourceAssignment, targetAssignment: rule.targetAssignment });
+        }
+        if (grade === null || grade === undefined) continue;
+        return { grade, from: sourceAssignment };
+    }
+
+    if (rule.default !== undefined) {
+        const grade = typeof rule.default === 'function'
+            ? rule.default({ userId, targetAssignment: rule.targetAssignment })
+            : rule.default;
+        if (grade !== null && grade !== undefined) {
+            return { grade, from: null };
+        }
+    }
+    return null;
+}
+
+// Fetch submissions for a set of assignments and users in chunks of users (so the URL stays a sane length),
+// indexed as index[userId][assignmentId]
+async function fetchSubmissions(canvas, courseId, assignmentIds, userIds, chunkSize) {
+    const index = {};
+    if (!assignmentIds.length || !userIds.length) return index;
+
+    const chunks = [];
+    for (let i = 0; i < userIds.length; i += chunkSize) {
+        chunks.push(userIds.slice(i, i + chunkSize));
+    }
+
+    const results = await Promise.all(chunks.map(chunk => canvas.getSubmissions(courseId, assignmentIds, chunk)));
+    for (const submissions of results) {
+        for (const submission of submissions) {
+            const forUser = index[submission.user_id] || (index[submission.user_id] = {});
+            forUser[submission.assignment_id] = submission;
+        }
+    }
+    return index;
+}
+
+/*
+Migrate grades from spec.from to spec.to for every user in userIds. spec.rules is a list like:
+
+    { target: 'Cotter’s Tool Score' }                             same name in both courses
+    { target: 123, source: /^Week 1 quiz/ }                       by ID, from whichever assignment matches
+    { target: 'Final', source: 'Final Exam', transform: score => score * 2 }
+    { target: 'Live Training', anyOf: ['Zoom Session', 'Live Class'], grade: 100 }   any of them graded -> 100
+    { target: 'Curriculum Complete', source: null, default: 100 }  everyone gets it
+
+Matchers can be a name, an ID, a RegExp for the name, a function of the assignment, or { id, name }. transform is
+called with (grade, { submission, userId, sourceAssignment, targetAssignment }) and can return null to skip.
+default (a grade, or a function of { userId, targetAssignment }) is used when there's nothing to carry over. If
+several rules target the same assignment, the first one that comes up with a grade wins.
+
+Grades already in the target course are left alone: identical ones are skipped, and different ones are reported as
+conflicts unless spec.onConflict is 'overwrite' (always replace) or 'higher' (replace lower scores).
+
+Resolves with { complete, users: { userId: { transferred, skipped, conflicts, failed } }, missing, grading }, where
+grading is the bulkGrade report and missing lists rules whose assignments couldn't be found (a missing target makes
+the migration incomplete; a missing source just means that rule has nothing to carry over).
+*/
+async function migrateGrades(canvas, spec, userIds, options = {}) {
+    const { from, to, rules, onConflict = 'skip' } = spec;
+    const { userChunkSize = 50, ...gradeOptions } = options;
+    if (!from || !to || !Array.isArray(rules)) {
+        throw new TypeError('migrateGrades needs a spec with from, to and rules');
+    }
+
+    const [sourceAssignments, targetAssignments] = await Promise.all([
+        canvas.assignments.list(from),
+        canvas.assignments.list(to)
+    ]);
+
+    const missing = [];
+    const resolved = resolveRules(rules, sourceAssignments, targetAssignments, missing);
+    const sourceIds = [...new Set(resolved.flatMap(rule => rule.sourceAssignments.map(assignment => assignment.id)))];
+    const targetIds = [...new Set(resolved.map(rule => rule.targetAssignment.id))];
+
+    const [sourceSubmissions, targetSubmissions] = await Promise.all([
+        fetchSubmissions(canvas, from, sourceIds, userIds, userChunkSize),
+        fetchSubmissions(canvas, to, targetIds, userIds, userChunkSize)
+    ]);
+
+    const users = {};
+    const gradesByAssignment = {};
+    const pending = {}; // `${userId}:${assignmentId}` -> the transferred entry waiting on bulkGrade
+
+    for (const userId of userIds) {
+        const report = users[userId] = { transferred: [], skipped: [], conflicts: [], failed: [] };
+        const handled = new Set();
+
+        for (const rule of resolved) {
+            const target = rule.targetAssignment;
+            if (handled.has(target.id)) continue;
+
+            const result = applyRule(rule, userId, assignmentId => (sourceSubmissions[userId] || {})[assignmentId]);
+            if (!result) {
+                continue; // a later rule for the same target may still have something
+            }
+            handled.add(target.id);
+
+            const entry = {
+                assignmentId: target.id,
+                assignment: target.name,
+                from: result.from ? result.from.name : null,
+                grade: result.grade,
+                rule: rule.index
+            };
+
+            const existing = (targetSubmissions[userId] || {})[target.id];
+            if (hasGrade(existing)) {
+                if (sameGrade(existing, result.grade)) {
+                    report.skipped.push({ ...entry, reason: 'already has this grade' });
+                    continue;
+                }
+                const replace = onConflict === 'overwrite' ||
+                    (onConflict === 'higher' && typeof result.grade === 'number' && (existing.score === null || result.grade > existing.score));
+                if (!replace) {
+                    report.conflicts.push({ ...entry, existing: { grade: existing.grade, score: existing.score, excused: Boolean(existing.excused) } });
+                    continue;
+                }
+                entry.replaced = { grade: existing.grade, score: existing.score };
+            }
+
+            (gradesByAssignment[target.id] = gradesByAssignment[target.id] || {})[userId] = result.grade;
+            pending[`${userId}:${target.id}`] = entry;
+        }
+
+        for (const rule of resolved) {
+            if (!handled.has(rule.targetAssignment.id)) {
+                handled.add(rule.targetAssignment.id);
+                report.skipped.push({ assignmentId: rule.targetAssignment.id, assignment: rule.targetAssignment.name, reason: 'nothing to transfer' });
+            }
+        }
+    }
+
+    const grading = Object.keys(gradesByAssignment).length
+        ? await canvas.bulkGrade(to, gradesByAssignment, gradeOptions)
+        : { complete: true, succeeded: [], failed: [], progress: [] };
+
+    for (const { userId, assignmentId } of grading.succeeded) {
+        const entry = pending[`${userId}:${assignmentId}`];
+        if (entry) users[userId].transferred.push(entry);
+    }
+    for (const { userId, assignmentId, error } of grading.failed) {
+        const entry = pending[`${userId}:${assignmentId}`];
+        if (entry) users[userId].failed.push({ ...entry, error });
+    }
+
+    return {
+        complete: grading.complete && !missing.some(entry => entry.course === 'target'),
+        users,
+        missing,
+        grading
+    };
+}
+
+module.exports = { migrateGrades, matchesAssignment };
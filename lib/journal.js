@@ -0,0 +1,68 @@
+// Change journals: a record of every write sent to Canvas (and, in dry-run mode, every write that would have been),
+// with what it replaced where that could be fetched, so a run can be reviewed and rolled back.
+const fs = require('fs');
+
+// Appends one JSON entry per line to a file
+class FileJournal {
+    constructor(file) {
+        this.file = file;
+    }
+
+    async append(entry) {
+        await fs.promises.appendFile(this.file, JSON.stringify(entry) + '\n');
+    }
+
+    async read() {
+        return readJournal(this.file);
+    }
+}
+
+// Keeps entries in memory, e.g. for tests or to inspect a dry run
+class MemoryJournal {
+    constructor() {
+        this.entries = [];
+    }
+
+    async append(entry) {
+        this.entries.push(entry);
+    }
+
+    async read() {
+        return this.entries.slice();
+    }
+}
+
+// The journal constructor option can be a file path, or anything with an append(entry) method
+function createJournal(journal) {
+    if (!journal) return null;
+    if (typeof journal === 'string') return new FileJournal(journal);
+    if (typeof journal.append === 'function') return journal;
+    throw new TypeError('journal must be a file path or an object with an append(entry) method');
+}
+
+// Collections (by the last part of their path) where what a POST creates can be deleted again at
+// <collection>/<id>. Other POSTs, like submissions, content migrations, SIS imports and update_grades, start
+// things the API can't take back that way.
+const DELETABLE_COLLECTIONS = [
+    'appointment_groups', 'assignment_groups', 'assignments', 'calendar_events', 'discussion_topics', 'enrollments',
+    'entries', 'external_tools', 'folders', 'items', 'modules', 'overrides', 'questions', 'quizzes', 'rubrics', 'users'
+];
+
+// The URL that deletes what a journaled POST to apiRoot (e.g. https://school.instructure.com/api/v1) created, or
+// null if there isn't one
+function deleteUrlFor(entry, apiRoot) {
+    const url = entry.url.split('?')[0];
+    if (entry.method !== 'POST' || !entry.createdId || !url.startsWith(`${apiRoot}/`)) {
+        return null;
+    }
+    const collection = url.split('/').pop();
+    return DELETABLE_COLLECTIONS.includes(collection) ? `${url}/${entry.createdId}` : null;
+}
+
+// Read the entries back from a journal file
+async function readJournal(file) {
+    const contents = await fs.promises.readFile(file, 'utf8');
+    return contents.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+module.exports = { FileJournal, MemoryJournal, createJournal, readJournal, deleteUrlFor };
@@ -0,0 +1,24 @@
+// Leveled logging. The logger constructor option can be anything with debug/info/warn/error methods (console,
+// pino, winston...), and logLevel drops anything below it. Missing methods fall back to the next one up.
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+function createLogger(logger = console, level = 'info') {
+    const threshold = LEVELS.indexOf(level);
+    if (threshold === -1) {
+        throw new TypeError(`logLevel must be one of ${LEVELS.join(', ')}`);
+    }
+
+    const wrapped = {};
+    LEVELS.slice(0, -1).forEach((name, index) => {
+        if (index < threshold || !logger) {
+            wrapped[name] = () => {};
+            return;
+        }
+        const method = LEVELS.slice(index, -1).map(candidate => logger[candidate]).find(fn => typeof fn === 'function') ||
+            (typeof logger.log === 'function' ? logger.log : () => {});
+        wrapped[name] = (...args) => method.apply(logger, args);
+    });
+    return wrapped;
+}
+
+module.exports = { createLogger, LEVELS };
@@ -0,0 +1,142 @@
+// URL patterns for getAllResultsFromArray and iterateFromArray. A pattern has one or more named placeholders, like
+// 'courses/<item>/users' or 'courses/<course>/assignments/<assignment>/submissions', and the items say what to fill
+// them with:
+//   [1, 2, 3]                                a list of values, for a pattern with one placeholder
+//   [{ course: 1, assignment: 5 }, ...]      the exact combinations to fetch
+//   { course: [1, 2], assignment: [5, 6] }   every combination (1/5, 1/6, 2/5, 2/6)
+//   { course: [1, 2], assignment: ({ course }) => [...] }
+//                                            values worked out from the placeholders before it (may be async)
+//   { course: [1, 2], assignment: { from: 'courses/<course>/assignments', field: 'id', vars } }
+//                                            the field (default id, or a function of the record) of every result of
+//                                            another list, fetched for each combination of the placeholders before it
+// Placeholders are filled in the order they appear in the pattern, so a dependent one can only use those to its left.
+
+const PLACEHOLDER = /<([A-Za-z_][A-Za-z0-9_]*)>/g;
+
+// The placeholder names in a pattern, in order, e.g. ['course', 'assignment']. 'item' when there aren't any, so
+// a pattern without one still fetches once per item the way it always has.
+function placeholdersIn(pattern) {
+    const names = [];
+    for (const match of pattern.matchAll(PLACEHOLDER)) {
+        if (!names.includes(match[1])) names.push(match[1]);
+    }
+    return names.length ? names : ['item'];
+}
+
+// Put values into a pattern (every occurrence of each placeholder)
+function fillPattern(pattern, params) {
+    return pattern.replace(PLACEHOLDER, (placeholder, name) => (
+        Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : placeholder
+    ));
+}
+
+/*
+What one fetch is for. With a single placeholder the item is the plain value and results are keyed by it, as
+before; with several the item is the { name: value } combination and results are nested in placeholder order
+(results[course][assignment]). key is a string (or the plain value) for the maps and checkpoints that track items.
+*/
+function createTarget(names, params) {
+    if (names.length === 1) {
+        const item = params[names[0]];
+        return { key: item, item, params };
+    }
+    return { key: JSON.stringify(names.map(name => params[name])), item: params, params };
+}
+
+// The item iterateFromArray was given back as params, for an item from either kind of pattern
+function paramsOf(names, item) {
+    if (names.length === 1 && (item === null || typeof item !== 'object')) {
+        return { [names[0]]: item };
+    }
+    for (const name of names) {
+        if (!item || item[name] === undefined) {
+            throw new TypeError(`Item ${JSON.stringify(item)} has no value for <${name}>`);
+        }
+    }
+    return item;
+}
+
+// Put a result where getAllResultsFromArray keeps it: results[value] or results[a][b]...
+function setNested(results, names, params, value) {
+    let level = results;
+    names.slice(0, -1).forEach(name => {
+        const key = params[name];
+        level = level[key] || (level[key] = {});
+    });
+    level[params[names[names.length - 1]]] = value;
+}
+
+function getNested(results, names, params) {
+    return names.reduce((level, name) => (level === undefined || level === null ? undefined : level[params[name]]), results);
+}
+
+/*
+Expand items into targets for pattern. Anything that needs fetching (from) goes through getAllResultsFromArray on
+canvas with the given options (perPage, signal, asUser...); its failures are added to report.failures, and the
+combinations it couldn't get values for are left out.
+*/
+async function expandItems(canvas, pattern, items, options = {}, report = null) {
+    const names = placeholdersIn(pattern);
+
+    if (Array.isArray(items)) {
+        return items.map(item => createTarget(names, paramsOf(names, item)));
+    }
+    if (!items || typeof items !== 'object') {
+        throw new TypeError('items must be a list, or an object of values for each placeholder');
+    }
+
+    let combinations = [{}];
+    for (const name of names) {
+        const source = items[name];
+        if (source === undefined) {
+            throw new TypeError(`No values given for <${name}> in ${pattern}`);
+        }
+
+        let valuesFor;
+        if (Array.isArray(source)) {
+            valuesFor = () => source;
+        } else if (typeof source === 'function') {
+            const values = await Promise.all(combinations.map(combination => source({ ...combination })));
+            valuesFor = (combination, index) => values[index] || [];
+        } else if (source && typeof source.from === 'string') {
+            valuesFor = await fetchValues(canvas, source, combinations, options, report);
+        } else {
+            throw new TypeError(`<${name}> needs a list of values, a function or { from }`);
+        }
+
+        combinations = combinations.flatMap((combination, index) => (
+            [].concat(valuesFor(combination, index)).map(value => ({ ...combination, [name]: value }))
+        ));
+    }
+    return combinations.map(combination => createTarget(names, combination));
+}
+
+// Values for a dependent placeholder from the results of another list, fetched once per distinct combination of
+// the placeholders that list uses
+async function fetchValues(canvas, source, combinations, options, report) {
+    const { from, field = 'id', vars = false } = source;
+    const fromNames = placeholdersIn(from);
+    const seen = new Set();
+    const fromItems = [];
+    for (const combination of combinations) {
+        const params = Object.fromEntries(fromNames.map(name => [name, combination[name]]));
+        const key = JSON.stringify(fromNames.map(name => params[name]));
+        if (seen.has(key)) continue;
+        seen.add(key);
+        fromItems.push(fromNames.length === 1 ? params[fromNames[0]] : params);
+    }
+
+    const { perPage = 100, maxBatchSize = 40, batchDelay = 500, signal, asUser } = options;
+    const results = await canvas.getAllResultsFromArray(from, fromItems, { vars, perPage, maxBatchSize, batchDelay, signal, asUser });
+    if (report) {
+        report.failures.push(...results.report.failures);
+    }
+
+    const pick = typeof field === 'function' ? field : record => record[field];
+    return combination => {
+        const list = getNested(results, fromNames, combination);
+        return Array.isArray(list) ? list.map(pick) : [];
+    };
+}
+
+module.exports = { placeholdersIn, fillPattern, expandItems, createTarget, paramsOf, setNested, getNested };
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const Bottleneck = require('bottleneck');
+
+// Clients for several Canvas instances (or several tokens on one), built from one place. Canvas throttles per
+// token, so by default every client using the same token on the same instance shares one limiter, and anything
+// using a different token gets its own. Pass shareLimiters: false to give every client its own regardless.
+class CanvasClientPool {
+    constructor({ maxConcurrent = 10, minTime = 200, shareLimiters = true, instances = {}, options = {} } = {}) {
+        this.maxConcurrent = maxConcurrent;
+        this.minTime = minTime;
+        this.shareLimiters = shareLimiters;
+        this.options = options; // default constructor options for every client
+        this.limiters = new Map();
+        this.clients = new Map();
+
+        Object.entries(instances).forEach(([name, instance]) => this.add(name, instance));
+    }
+
+    // Register a named client: add('district', { domain, token }) or { domain, tokens: [...] } to round-robin
+    // several tokens on the same instance. options are merged over the pool's defaults.
+    add(name, { domain, token, tokens, options = {} }) {
+        const client = this.client(domain, tokens || token, options);
+        this.clients.set(name, client);
+        return client;
+    }
+
+    get(name) {
+        const client = this.clients.get(name);
+        if (!client) {
+            throw new Error(`No Canvas client named ${name}`);
+        }
+        return client;
+    }
+
+    // A new client for a domain and a token (or list of tokens), with limiters from the pool
+    client(domain, token, options = {}) {
+        const CanvasMultiCurl = require('../CanvasMultiCurl'); // here rather than at the top, which would be circular
+        return new CanvasMultiCurl(token, domain, this.maxConcurrent, this.minTime, {
+            ...this.options,
+            ...options,
+            limiterFor: tokenForLimiter => this.limiterFor(domain, tokenForLimiter)
+        });
+    }
+
+    // The limiter for a token on an instance. Tokens are hashed so they aren't kept around as keys.
+    limiterFor(domain, token) {
+        const limiter = () => new Bottleneck({ maxConcurrent: this.maxConcurrent, minTime: this.minTime });
+        if (!this.shareLimiters) {
+            return limiter();
+        }
+
+        const key = `${domain} ${crypto.createHash('sha256').update(String(token)).digest('hex')}`;
+        if (!this.limiters.has(key)) {
+            this.limiters.set(key, limiter());
+        }
+        return this.limiters.get(key);
+    }
+}
+
+module.exports = { CanvasClientPool };
@@ -0,0 +1,86 @@
+// Progress reporting for long list operations (getList, getAllResultsFromArray and their iterators). Requests
+// belong to an operation when they carry its AbortSignal, so several operations can report on one instance at once.
+class ListProgress {
+    constructor(canvas, signal, onProgress, itemsTotal = 1) {
+        this.canvas = canvas;
+        this.signal = signal;
+        this.onProgress = onProgress;
+        this.failures = null; // the operation's failures array, counted when reporting
+        this.getPages = null; // set by the operation once it knows how it's paging: () => { knownPages, speculativePages }
+        this.stats = {
+            itemsDone: 0,
+            itemsTotal,
+            pagesFetched: 0,
+            rateLimitWaits: 0,
+            retries: 0
+        };
+
+        this.listeners = {
+            response: response => {
+                if (this.owns(response.config) && response.status < 400) {
+                    this.stats.pagesFetched++;
+                    this.report();
+                }
+            },
+            retry: ({ config }) => {
+                if (this.owns(config)) {
+                    this.stats.retries++;
+                    this.report();
+                }
+            },
+            rateLimited: ({ config }) => {
+                if (this.owns(config)) {
+                    this.stats.rateLimitWaits++;
+                }
+            }
+        };
+        if (onProgress) {
+            Object.entries(this.listeners).forEach(([event, listener]) => canvas.on(event, listener));
+        }
+    }
+
+    owns(config) {
+        return Boolean(config) && config.signal === this.signal;
+    }
+
+    itemDone() {
+        this.stats.itemsDone++;
+        this.report();
+    }
+
+    /*
+    Calls onProgress with:
+    { itemsDone, itemsTotal, pagesFetched, knownPages, speculativePages, inFlight, queued, rateLimitWaits, retries,
+      failures }
+    knownPages are pages from a rel="last" link, speculativePages ones being guessed at (or walked through
+    bookmarks). inFlight and queued come from the limiter, so they include anything else the instance is doing.
+    */
+    report() {
+        if (!this.onProgress) return;
+
+        const counts = this.canvas.limiter.counts();
+        const queue = this.canvas.operationQueues.get(this.signal);
+        const waiting = queue ? queue.counts() : {};
+        const pages = this.getPages ? this.getPages() : {};
+        try {
+            this.onProgress({
+                ...this.stats,
+                knownPages: pages.knownPages || 0,
+                speculativePages: pages.speculativePages || 0,
+                inFlight: (counts.RUNNING || 0) + (counts.EXECUTING || 0),
+                queued: (counts.RECEIVED || 0) + (counts.QUEUED || 0) + (waiting.RECEIVED || 0) + (waiting.QUEUED || 0),
+                failures: this.failures ? this.failures.length : 0
+            });
+        } catch (error) {
+            this.canvas.logger.error(`onProgress failed: ${error.message}`);
+        }
+    }
+
+    stop() {
+        if (this.onProgress) {
+            Object.entries(this.listeners).forEach(([event, listener]) => this.canvas.removeListener(event, listener));
+        }
+    }
+}
+
+module.exports = { ListProgress };
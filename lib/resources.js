@@ -0,0 +1,385 @@
+// Resource helpers: canvas.courses, canvas.enrollments, canvas.assignments, canvas.users and canvas.sections build
+// the paths, query strings and wrapped bodies for the common endpoints so scripts don't have to. Lists go through
+// getList (so they're paginated concurrently and carry a report); everything else goes through processRequest (so
+// it's retried, and failures are reported the usual way) and resolves with the response body, or null if it failed.
+
+/**
+ * @typedef {Object} Course
+ * @property {number} id
+ * @property {string} name
+ * @property {string} course_code
+ * @property {string} workflow_state 'unpublished', 'available', 'completed' or 'deleted'
+ * @property {number} account_id
+ * @property {?string} sis_course_id
+ * @property {?string} start_at
+ * @property {?string} end_at
+ * @property {?number} enrollment_term_id
+ */
+
+/**
+ * @typedef {Object} Enrollment
+ * @property {number} id
+ * @property {number} course_id
+ * @property {number} course_section_id
+ * @property {number} user_id
+ * @property {string} type e.g. 'StudentEnrollment', 'TeacherEnrollment'
+ * @property {string} enrollment_state 'active', 'invited', 'inactive', 'completed' or 'deleted'
+ * @property {?string} role
+ * @property {?{current_score: ?number, final_score: ?number, current_grade: ?string, final_grade: ?string}} grades
+ */
+
+/**
+ * @typedef {Object} Assignment
+ * @property {number} id
+ * @property {number} course_id
+ * @property {string} name
+ * @property {?string} description
+ * @property {?number} points_possible
+ * @property {string} grading_type e.g. 'points', 'percent', 'pass_fail', 'letter_grade'
+ * @property {?string} due_at
+ * @property {boolean} published
+ * @property {string[]} submission_types
+ * @property {?number} assignment_group_id
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {number} id
+ * @property {string} name
+ * @property {string} sortable_name
+ * @property {?string} short_name
+ * @property {?string} sis_user_id
+ * @property {?string} login_id
+ * @property {?string} email
+ */
+
+/**
+ * @typedef {Object} Section
+ * @property {number} id
+ * @property {number} course_id
+ * @property {string} name
+ * @property {?string} sis_section_id
+ * @property {?number} nonxlist_course_id set when the section has been cross-listed into another course
+ * @property {?string} start_at
+ * @property {?string} end_at
+ */
+
+/**
+ * Query parameters for a request. Arrays become repeated key[]=value pairs and objects become key[sub]=value,
+ * the way Canvas expects, e.g. { include: ['total_scores'], enrollment_state: 'active' }.
+ * @typedef {Object<string, (string|number|boolean|Array<string|number>|Object)>} QueryParams
+ */
+
+/**
+ * Build a Canvas query string (without the ?), like the assignment_ids[] list getSubmissions builds.
+ * @param {QueryParams} params
+ * @param {string} [prefix] used for nested objects
+ * @returns {string}
+ */
+function buildQuery(params = {}, prefix = null) {
+    const parts = [];
+    for (const [name, value] of Object.entries(params)) {
+        if (value === undefined || value === null) continue;
+        const key = prefix ? `${prefix}[${name}]` : name;
+
+        if (Array.isArray(value)) {
+            value.forEach(entry => parts.push(`${key}[]=${encodeURIComponent(entry)}`));
+        } else if (typeof value === 'object') {
+            const nested = buildQuery(value, key);
+            if (nested) parts.push(nested);
+        } else {
+            parts.push(`${key}=${encodeURIComponent(value)}`);
+        }
+    }
+    return parts.join('&');
+}
+
+// Shared plumbing for the namespaces below
+class Resource {
+    constructor(canvas) {
+        this.canvas = canvas;
+    }
+
+    // Paginated list through getList, with any query parameters
+    fetchList(path, params = {}) {
+        const query = buildQuery(params);
+        return this.canvas.getList(query ? `${path}?${query}` : path, Boolean(query));
+    }
+
+    // A single request; resolves with the response body, or null if the request failed (and errorMode is 'collect')
+    async send(method, path, data = null, prefix = null, params = {}) {
+        const query = buildQuery(params);
+        const config = this.canvas.createRequestConfig(query ? `${path}?${query}` : path, method, data, prefix);
+        const response = await this.canvas.processRequest(config);
+        return response ? response.data : null;
+    }
+}
+
+class Courses extends Resource {
+    /**
+     * Courses the current user is enrolled in
+     * @param {QueryParams} [params] e.g. { enrollment_type: 'teacher', include: ['term'] }
+     * @returns {Promise<Course[]>}
+     */
+    list(params = {}) {
+        return this.fetchList('courses', params);
+    }
+
+    /**
+     * Every course in an account
+     * @param {number|string} accountId
+     * @param {QueryParams} [params] e.g. { enrollment_term_id: 5, published: true }
+     * @returns {Promise<Course[]>}
+     */
+    listForAccount(accountId, params = {}) {
+        return this.fetchList(`accounts/${accountId}/courses`, params);
+    }
+
+    /**
+     * @param {number|string} courseId a Canvas ID, or 'sis_course_id:...'
+     * @param {QueryParams} [params]
+     * @returns {Promise<?Course>}
+     */
+    get(courseId, params = {}) {
+        return this.send('GET', `courses/${courseId}`, null, null, params);
+    }
+
+    /**
+     * @param {number|string} accountId
+     * @param {Partial<Course>} course sent as course[...]
+     * @returns {Promise<?Course>}
+     */
+    create(accountId, course) {
+        return this.send('POST', `accounts/${accountId}/courses`, course, 'course');
+    }
+
+    /**
+     * @param {number|string} courseId
+     * @param {Partial<Course>|{event: string}} course sent as course[...], e.g. { event: 'offer' } to publish
+     * @returns {Promise<?Course>}
+     */
+    update(courseId, course) {
+        return this.send('PUT', `courses/${courseId}`, course, 'course');
+    }
+}
+
+class Enrollments extends Resource {
+    /**
+     * Enrollments in a course, a section or for a user
+     * @param {{courseId?: (number|string), sectionId?: (number|string), userId?: (number|string)}} scope
+     * @param {QueryParams} [params] e.g. { type: ['StudentEnrollment'], state: ['active'] }
+     * @returns {Promise<Enrollment[]>}
+     */
+    list(scope, params = {}) {
+        return this.fetchList(`${enrollmentScope(scope)}/enrollments`, params);
+    }
+
+    /**
+     * Enroll a user. Active student enrollments unless the enrollment says otherwise.
+     * @param {number|string|{sectionId: (number|string)}} courseId a course ID, or { sectionId } to enroll in a section
+     * @param {Partial<Enrollment>|{user_id: (number|string)}} enrollment sent as enrollment[...]
+     * @returns {Promise<?Enrollment>}
+     */
+    create(courseId, enrollment) {
+        const scope = typeof courseId === 'object' ? enrollmentScope(courseId) : `courses/${courseId}`;
+        return this.send('POST', `${scope}/enrollments`, {
+            type: 'StudentEnrollment',
+            enrollment_state: 'active',
+            ...enrollment
+        }, 'enrollment');
+    }
+
+    /**
+     * Conclude an enrollment (keeps it, and its grades, as completed)
+     * @returns {Promise<?Enrollment>}
+     */
+    conclude(courseId, enrollmentId) {
+        return this.send('DELETE', `courses/${courseId}/enrollments/${enrollmentId}`, null, null, { task: 'conclude' });
+    }
+
+    /**
+     * Make an enrollment inactive, so the user can't see the course but can be reactivated later
+     * @returns {Promise<?Enrollment>}
+     */
+    deactivate(courseId, enrollmentId) {
+        return this.send('DELETE', `courses/${courseId}/enrollments/${enrollmentId}`, null, null, { task: 'deactivate' });
+    }
+
+    /**
+     * @returns {Promise<?Enrollment>}
+     */
+    reactivate(courseId, enrollmentId) {
+        return this.send('PUT', `courses/${courseId}/enrollments/${enrollmentId}/reactivate`);
+    }
+
+    /**
+     * Delete an enrollment outright
+     * @returns {Promise<?Enrollment>}
+     */
+    delete(courseId, enrollmentId) {
+        return this.send('DELETE', `courses/${courseId}/enrollments/${enrollmentId}`, null, null, { task: 'delete' });
+    }
+}
+
+// The path an enrollment list or create hangs off
+function enrollmentScope({ courseId, sectionId, userId } = {}) {
+    if (courseId !== undefined) return `courses/${courseId}`;
+    if (sectionId !== undefined) return `sections/${sectionId}`;
+    if (userId !== undefined) return `users/${userId}`;
+    throw new TypeError('enrollments need a courseId, sectionId or userId');
+}
+
+class Assignments extends Resource {
+    /**
+     * @param {number|string} courseId
+     * @param {QueryParams} [params] e.g. { bucket: 'upcoming', search_term: 'quiz', assignment_ids: [1, 2] }
+     * @returns {Promise<Assignment[]>}
+     */
+    list(courseId, params = {}) {
+        return this.fetchList(`courses/${courseId}/assignments`, params);
+    }
+
+    /**
+     * @returns {Promise<?Assignment>}
+     */
+    get(courseId, assignmentId, params = {}) {
+        return this.send('GET', `courses/${courseId}/assignments/${assignmentId}`, null, null, params);
+    }
+
+    /**
+     * @param {number|string} courseId
+     * @param {Partial<Assignment>} assignment sent as assignment[...]
+     * @returns {Promise<?Assignment>}
+     */
+    create(courseId, assignment) {
+        return this.send('POST', `courses/${courseId}/assignments`, assignment, 'assignment');
+    }
+
+    /**
+     * @param {number|string} courseId
+     * @param {number|string} assignmentId
+     * @param {Partial<Assignment>} assignment sent as assignment[...]
+     * @returns {Promise<?Assignment>}
+     */
+    update(courseId, assignmentId, assignment) {
+        return this.send('PUT', `courses/${courseId}/assignments/${assignmentId}`, assignment, 'assignment');
+    }
+
+    /**
+     * @returns {Promise<?Assignment>}
+     */
+    delete(courseId, assignmentId) {
+        return this.send('DELETE', `courses/${courseId}/assignments/${assignmentId}`);
+    }
+}
+
+class Users extends Resource {
+    /**
+     * Users in an account
+     * @param {number|string} accountId
+     * @param {QueryParams} [params] e.g. { search_term: 'smith' }
+     * @returns {Promise<User[]>}
+     */
+    list(accountId, params = {}) {
+        return this.fetchList(`accounts/${accountId}/users`, params);
+    }
+
+    /**
+     * Users in a course
+     * @param {number|string} courseId
+     * @param {QueryParams} [params] e.g. { enrollment_type: ['student'], include: ['email'] }
+     * @returns {Promise<User[]>}
+     */
+    listInCourse(courseId, params = {}) {
+        return this.fetchList(`courses/${courseId}/users`, params);
+    }
+
+    /**
+     * @param {number|string} userId a Canvas ID, 'self', or 'sis_user_id:...'
+     * @returns {Promise<?User>}
+     */
+    get(userId, params = {}) {
+        return this.send('GET', `users/${userId}`, null, null, params);
+    }
+
+    /**
+     * Create a user with a login. Canvas takes several top-level objects here, so pass them all,
+     * e.g. { user: { name }, pseudonym: { unique_id, sis_user_id } }
+     * @param {number|string} accountId
+     * @param {{user: Partial<User>, pseudonym: Object, communication_channel?: Object}} data
+     * @returns {Promise<?User>}
+     */
+    create(accountId, data) {
+        return this.send('POST', `accounts/${accountId}/users`, data);
+    }
+
+    /**
+     * @param {number|string} userId
+     * @param {Partial<User>} user sent as user[...]
+     * @returns {Promise<?User>}
+     */
+    update(userId, user) {
+        return this.send('PUT', `users/${userId}`, user, 'user');
+    }
+}
+
+class Sections extends Resource {
+    /**
+     * @param {number|string} courseId
+     * @param {QueryParams} [params] e.g. { include: ['students'] }
+     * @returns {Promise<Section[]>}
+     */
+    list(courseId, params = {}) {
+        return this.fetchList(`courses/${courseId}/sections`, params);
+    }
+
+    /**
+     * @returns {Promise<?Section>}
+     */
+    get(sectionId, params = {}) {
+        return this.send('GET', `sections/${sectionId}`, null, null, params);
+    }
+
+    /**
+     * @param {number|string} courseId
+     * @param {Partial<Section>} section sent as course_section[...]
+     * @returns {Promise<?Section>}
+     */
+    create(courseId, section) {
+        return this.send('POST', `courses/${courseId}/sections`, section, 'course_section');
+    }
+
+    /**
+     * @param {number|string} sectionId
+     * @param {Partial<Section>} section sent as course_section[...]
+     * @returns {Promise<?Section>}
+     */
+    update(sectionId, section) {
+        return this.send('PUT', `sections/${sectionId}`, section, 'course_section');
+    }
+
+    /**
+     * @returns {Promise<?Section>}
+     */
+    delete(sectionId) {
+        return this.send('DELETE', `sections/${sectionId}`);
+    }
+
+    /**
+     * Move a section into another course
+     * @returns {Promise<?Section>}
+     */
+    crossList(sectionId, newCourseId) {
+        return this.send('POST', `sections/${sectionId}/crosslist/${newCourseId}`);
+    }
+
+    /**
+     * Move a cross-listed section back to its original course
+     * @returns {Promise<?Section>}
+     */
+    uncrossList(sectionId) {
+        return this.send('DELETE', `sections/${sectionId}/crosslist`);
+    }
+}
+
+module.exports = { Resource, Courses, Enrollments, Assignments, Users, Sections, buildQuery };
@@ -0,0 +1,263 @@
+// Incremental sync: keep a local copy of a list up to date by only asking Canvas for what changed since the last
+// run. See sync() below for how a resource is described, and syncSubmissions/syncEnrollments/syncCourses in
+// CanvasMultiCurl.js for the ready-made ones. State lives in a sync store, which is anything with:
+//   load(name)         -> { records: { key: record }, marks: { param: timestamp }, fullAt, syncedAt }, or null
+//   save(name, state)  -> keeps it for next time
+// Both may return promises.
+const fs = require('fs');
+const path = require('path');
+const { buildQuery } = require('./resources');
+
+// Keeps every resource's state in one JSON file. Saves are queued, so syncs running side by side don't clobber
+// each other, and written to a temporary file first, so a crash mid-write leaves the last good copy.
+class FileSyncStore {
+    constructor(file) {
+        this.file = file;
+        this.pending = Promise.resolve();
+    }
+
+    async readAll() {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+    }
+
+    async load(name) {
+        await this.pending;
+        return (await this.readAll())[name] || null;
+    }
+
+    save(name, state) {
+        const saved = this.pending.then(async () => {
+            const all = await this.readAll();
+            all[name] = state;
+            const temporary = `${this.file}.${process.pid}.tmp`;
+            await fs.promises.writeFile(temporary, JSON.stringify(all));
+            await fs.promises.rename(temporary, this.file);
+        });
+        this.pending = saved.catch(() => {});
+        return saved;
+    }
+}
+
+// Keeps state in memory, for tests or for syncing again within one process
+class MemorySyncStore {
+    constructor() {
+        this.states = {};
+    }
+
+    async load(name) {
+        return this.states[name] ? JSON.parse(JSON.stringify(this.states[name])) : null;
+    }
+
+    async save(name, state) {
+        this.states[name] = JSON.parse(JSON.stringify(state));
+    }
+}
+
+// File stores by path, so syncs given the same path share one store (and its queue of saves)
+const fileStores = new Map();
+
+// The store option can be a file path or a store
+function createSyncStore(store) {
+    if (typeof store === 'string') {
+        const file = path.resolve(store);
+        if (!fileStores.has(file)) fileStores.set(file, new FileSyncStore(file));
+        return fileStores.get(file);
+    }
+    if (store && typeof store.load === 'function' && typeof store.save === 'function') return store;
+    throw new TypeError('sync needs a store: a file path, or an object with load(name) and save(name, state)');
+}
+
+function withQuery(url, query) {
+    return query ? `${url}${url.includes('?') ? '&' : '?'}${query}` : url;
+}
+
+function time(value) {
+    const parsed = value ? Date.parse(value) : NaN;
+    return isNaN(parsed) ? null : parsed;
+}
+
+// The later of two timestamps (as ISO strings), ignoring missing ones
+function later(a, b) {
+    if (time(a) === null) return time(b) === null ? null : new Date(time(b)).toISOString();
+    if (time(b) === null || time(a) >= time(b)) return new Date(time(a)).toISOString();
+    return new Date(time(b)).toISOString();
+}
+
+// Whether a record differs from the copy we have: by its updated field when it has one, otherwise by content
+function hasChanged(previous, record, updatedField) {
+    if (!previous) return true;
+    if (updatedField && record[updatedField] !== undefined && previous[updatedField] !== undefined) {
+        return record[updatedField] !== previous[updatedField];
+    }
+    return JSON.stringify(previous) !== JSON.stringify(record);
+}
+
+/*
+Bring the local copy of a list up to date. resource describes the list:
+    name          what the store keeps it under (must be unique per list, e.g. 'submissions:1279')
+    url           the list endpoint, with any query string
+    since         server-side change filters, { param: field }, e.g. { submitted_since: 'submitted_at',
+                  graded_since: 'graded_at' }. Each param is asked for on its own (Canvas combines them with AND),
+                  starting from the newest value of its field seen so far.
+    updatedField  when a record last changed (default 'updated_at'), which is how changes are spotted
+    key           the ID field records are merged by (default 'id')
+    isDeleted     record => true for records Canvas reports as deleted (e.g. enrollment_state 'deleted'), which are
+                  dropped from the local copy
+Lists without since are full snapshots: the whole list is fetched every run, and changes are worked out by comparing.
+
+The first run (and any with full: true, or once fullEvery ms have passed since the last full run) fetches the
+whole list. A full run also catches deletions Canvas doesn't report: anything we had that isn't in the list any
+more. options:
+    store         a file path or sync store (required)
+    full          fetch everything this time
+    fullEvery     ms between full runs, to catch deletions and anything the filters miss (default never)
+    overlap       ms to go back before each mark, in case of clock skew or slow writes (default 5 minutes);
+                  records seen twice are merged, so it only costs a few duplicates
+    perPage       page size (default 100)
+
+Resolves with { records, changed, deleted, full, marks, report }: every record we now have, the ones that are new
+or changed this run, the ones that were deleted, whether this was a full run, the marks for next time and a
+report ({ complete, failures }). If anything failed, what did come back is kept but the marks don't move, so the
+next run asks for the same changes again, and deletions aren't worked out from a list that might be missing pages.
+*/
+async function sync(canvas, resource, options = {}) {
+    const { name, url, since = null, updatedField = 'updated_at', key = 'id', isDeleted = () => false } = resource;
+    if (!name || !url) {
+        throw new TypeError('sync needs a resource with a name and url');
+    }
+    const { fullEvery = null, overlap = 5 * 60 * 1000, perPage = 100 } = options;
+    const store = createSyncStore(options.store);
+
+    const startedAt = new Date().toISOString();
+    const previous = await store.load(name);
+    const full = Boolean(options.full || !previous || !since ||
+        (fullEvery !== null && (time(previous.fullAt) === null || Date.now() - time(previous.fullAt) >= fullEvery)));
+    const records = previous ? { ...previous.records } : {};
+    const marks = previous ? { ...previous.marks } : {};
+    const failures = [];
+    let fetched = [];
+
+    // Where a filter starts: its mark, or when we last synced if nothing has set it yet (say, nothing graded)
+    const markFor = mark => {
+        const from = time(mark) !== null ? time(mark) : time(previous.syncedAt);
+        return from === null ? null : new Date(from - overlap).toISOString();
+    };
+
+    if (full) {
+        fetched = await fetchList(canvas, url, perPage, failures);
+    } else {
+        for (const param of Object.keys(since)) {
+            const from = markFor(marks[param]);
+            const pageUrl = from ? withQuery(url, buildQuery({ [param]: from })) : url;
+            fetched = fetched.concat(await fetchList(canvas, pageUrl, perPage, failures));
+        }
+    }
+
+    const changed = new Map();
+    const deleted = [];
+    const seen = new Set();
+    const newMarks = { ...marks };
+    for (const record of fetched) {
+        const id = record && record[key];
+        if (id === undefined || id === null) continue;
+        seen.add(String(id));
+
+        if (since) {
+            Object.keys(since).forEach(param => { newMarks[param] = later(newMarks[param], record[since[param]]); });
+        }
+
+        if (isDeleted(record)) {
+            if (records[id]) deleted.push(records[id]);
+            delete records[id];
+        } else if (hasChanged(records[id], record, updatedField)) {
+            changed.set(String(id), record);
+            records[id] = record;
+        }
+    }
+
+    const complete = failures.length === 0;
+    if (full && complete && previous) {
+        for (const id of Object.keys(records)) {
+            if (!seen.has(id)) {
+                deleted.push(records[id]);
+                delete records[id];
+            }
+        }
+    }
+
+    const state = {
+        records,
+        marks: complete ? newMarks : marks,
+        fullAt: full && complete ? startedAt : (previous && previous.fullAt) || null,
+        syncedAt: complete ? startedAt : (previous && previous.syncedAt) || null
+    };
+    await store.save(name, state);
+
+    return {
+        records: Object.values(records),
+        changed: [...changed.values()],
+        deleted,
+        full,
+        marks: state.marks,
+        report: { complete, failures }
+    };
+}
+
+// A whole list through getList, adding its failures to ours
+async function fetchList(canvas, url, perPage, failures) {
+    const results = await canvas.getList(url, url.includes('?'), perPage);
+    failures.push(...results.report.failures);
+    return results;
+}
+
+// The ready-made resources
+
+// Submissions for some assignments (all students by default) via students/submissions, which can filter by
+// submitted_since and graded_since
+function submissionsResource(courseId, assignmentIds, studentIds = 'all') {
+    const students = studentIds === 'all' ? ['all'] : studentIds;
+    return {
+        name: `submissions:${courseId}:${assignmentIds.join(',')}${studentIds === 'all' ? '' : `:${students.join(',')}`}`,
+        url: `courses/${courseId}/students/submissions?${buildQuery({ assignment_ids: assignmentIds, student_ids: students })}`,
+        since: { submitted_since: 'submitted_at', graded_since: 'graded_at' },
+        isDeleted: submission => submission.workflow_state === 'deleted'
+    };
+}
+
+const ENROLLMENT_STATES = ['active', 'invited', 'creation_pending', 'inactive', 'completed', 'rejected', 'deleted'];
+
+// A course's enrollments in every state, deleted included, so deletions show up. Canvas can't filter or sort
+// enrollments by when they changed, so this is a full snapshot: each run fetches the list and compares updated_at.
+function enrollmentsResource(courseId) {
+    return {
+        name: `enrollments:${courseId}`,
+        url: `courses/${courseId}/enrollments?${buildQuery({ state: ENROLLMENT_STATES })}`,
+        isDeleted: enrollment => enrollment.enrollment_state === 'deleted'
+    };
+}
+
+// An account's courses, deleted ones included. Also a full snapshot: there's no change filter, and courses don't
+// have an updated_at, so changes are found by comparing each course with the copy we have.
+function coursesResource(accountId, params = {}) {
+    const query = buildQuery({ state: ['unpublished', 'available', 'completed', 'deleted'], ...params });
+    return {
+        name: `courses:${accountId}${Object.keys(params).length ? `:${buildQuery(params)}` : ''}`,
+        url: `accounts/${accountId}/courses?${query}`,
+        isDeleted: course => course.workflow_state === 'deleted'
+    };
+}
+
+module.exports = {
+    sync,
+    FileSyncStore,
+    MemorySyncStore,
+    createSyncStore,
+    submissionsResource,
+    enrollmentsResource,
+    coursesResource
+};
@@ -1,80 +1,60 @@
 const CanvasMultiCurl = require('./CanvasMultiCurl');
 
-// Initialize CanvasMultiCurl with access token and domain
-const canvas = new CanvasMultiCurl(process.env.CANVAS_ACCESS_TOKEN, process.env.CANVAS_DOMAIN);
-
-async function migrateUser(userId, oldCourseId, newCourseId) {
-    console.log(`Migrating user ${userId} from course ${oldCourseId} to ${newCourseId}`);
-
-    // Define the specific assignments we need
-    const assignmentNames = [
-        "Cotter’s Tool Score",
-        "Preceptor Training Curriculum Complete",
-        "Attend the Live Canvas Training",
-        "Confirm All Tasks are Complete"
-    ];
-
-    const equivalentOldAssignments = [
-        "Attend the Live Zoom Session",
-        "Preceptor Live Class",
-        "2-Hour Preceptor Training at Sequoia Hospital",
-        "Canvas Preceptor Self-Paced Training and Quiz"
-    ];
-
-    // Fetch assignments from both courses
-    const [oldAssignments, newAssignments] = await Promise.all([
-        canvas.getList(`courses/${oldCourseId}/assignments`),
-        canvas.getList(`courses/${newCourseId}/assignments`)
-    ]);
-
-    // Filter only relevant assignments
-    const filteredOldAssignments = oldAssignments.filter(a => assignmentNames.includes(a.name) || equivalentOldAssignments.includes(a.name));
-    const filteredNewAssignments = newAssignments.filter(a => assignmentNames.includes(a.name));
-
-    // Map new assignments by name for quick lookup
-    const newAssignmentsMap = filteredNewAssignments.reduce((acc, assignment) => {
-        acc[assignment.name] = assignment.id;
-        return acc;
-    }, {});
-
-    // Fetch user's submissions from old course
-    const userSubmissions = await canvas.getSubmissions(oldCourseId, filteredOldAssignments.map(a => a.id), [userId]);
-
-    let attendedLiveTraining = false;
-    for (const submission of userSubmissions) {
-        const oldAssignment = filteredOldAssignments.find(a => a.id === submission.assignment_id);
-        if (!oldAssignment) continue;
-
-        let newAssignmentId = null;
-        let newScore = submission.score;
-        let leaveUngraded = false;
-
-        // Match old assignment names to new ones based on the provided rules
-        if (newAssignmentsMap[oldAssignment.name]) {
-            newAssignmentId = newAssignmentsMap[oldAssignment.name];
-        } else if (equivalentOldAssignments.includes(oldAssignment.name)) {
-            attendedLiveTraining = true;
+// Initialize CanvasMultiCurl with access token and domain. Assignment lists are cached (and revalidated with
+// ETags after 10 minutes) so migrating a batch of users doesn't fetch both courses' assignments for every one.
+const canvas = new CanvasMultiCurl(process.env.CANVAS_ACCESS_TOKEN, process.env.CANVAS_DOMAIN, 10, 200, {
+    cache: { ttls: { 'courses/*/assignments': 10 * 60 * 1000 } }
+});
+
+// Which grades carry over from the old preceptor course to the new one (see lib/gradeMigration.js)
+const rules = [
+    { target: "Cotter’s Tool Score" },
+    { target: "Confirm All Tasks are Complete" },
+
+    // Any of the old live sessions counts as having attended the live training; otherwise use its own grade
+    {
+        target: "Attend the Live Canvas Training",
+        anyOf: [
+            "Attend the Live Zoom Session",
+            "Preceptor Live Class",
+            "2-Hour Preceptor Training at Sequoia Hospital",
+            "Canvas Preceptor Self-Paced Training and Quiz"
+        ],
+        grade: 100
+    },
+    { target: "Attend the Live Canvas Training" },
+
+    // Doesn't exist in the old course, but everyone migrating has done it
+    { target: "Preceptor Training Curriculum Complete", source: null, default: 100 }
+];
+
+// Migrate a batch of users at once; resolves with the migration report
+async function migrateUsers(userIds, oldCourseId, newCourseId) {
+    console.log(`Migrating ${userIds.length} users from course ${oldCourseId} to ${newCourseId}`);
+
+    // Grades already in the new course are replaced, as they always have been by this script
+    const report = await canvas.migrateGrades({ from: oldCourseId, to: newCourseId, rules, onConflict: 'overwrite' }, userIds);
+
+    for (const missing of report.missing) {
+        console.error(`Couldn't find ${missing.matcher} in the ${missing.course} course`);
+    }
+    for (const [userId, result] of Object.entries(report.users)) {
+        for (const transfer of result.transferred) {
+            const replaced = transfer.replaced ? `, replacing ${transfer.replaced.grade}` : '';
+            console.log(`User ${userId}: ${transfer.from || 'default'} -> ${transfer.assignment} (${JSON.stringify(transfer.grade)}${replaced})`);
         }
-
-        if (newAssignmentId && newScore !== null) {
-            await canvas.gradeItem(newCourseId, userId, newAssignmentId, newScore);
-            console.log(`Transferred ${oldAssignment.name} (${submission.score}) to ${newAssignmentId} (${newScore})`);
+        for (const failure of result.failed) {
+            console.error(`User ${userId}: failed to grade ${failure.assignment}: ${failure.error.message}`);
         }
     }
 
-    // If user completed any equivalent old training assignments, mark "Attend the Live Canvas Training" as complete
-    if (attendedLiveTraining && newAssignmentsMap["Attend the Live Canvas Training"]) {
-        await canvas.gradeItem(newCourseId, userId, newAssignmentsMap["Attend the Live Canvas Training"], 100);
-        console.log(`Marked "Attend the Live Canvas Training" as complete for user ${userId}`);
-    }
-
-    // Special case: "Preceptor Training Curriculum Complete" does not exist in old course but should be graded 100/100
-    if (newAssignmentsMap["Preceptor Training Curriculum Complete"]) {
-        await canvas.gradeItem(newCourseId, userId, newAssignmentsMap["Preceptor Training Curriculum Complete"], 100);
-        console.log(`Assigned 100/100 to "Preceptor Training Curriculum Complete" for user ${userId}`);
-    }
+    console.log(`Migration ${report.complete ? 'complete' : 'finished with errors'}`);
+    return report;
+}
 
-    console.log(`Migration complete for user ${userId}`);
+async function migrateUser(userId, oldCourseId, newCourseId) {
+    const report = await migrateUsers([userId], oldCourseId, newCourseId);
+    return report.users[userId];
 }
 
-module.exports = { migrateUser };
+module.exports = { migrateUser, migrateUsers, rules };
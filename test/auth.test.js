@@ -0,0 +1,40 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const CanvasMultiCurl = require('../CanvasMultiCurl');
+const { FakeCanvas } = require('./fakeCanvas');
+
+describe('auth providers', () => {
+    const canvasApi = new FakeCanvas();
+    let domain;
+
+    before(async () => {
+        domain = await canvasApi.start();
+        // Only the token 'fresh' is any good
+        canvasApi.route('GET', 'users/self', request => request.headers.authorization === 'Bearer fresh'
+            ? { body: { id: 1 } }
+            : { status: 401, headers: { 'WWW-Authenticate': 'Bearer realm="canvas-lms"' }, body: { errors: [{ message: 'Invalid access token.' }] } });
+    });
+    after(() => canvasApi.close());
+
+    test('a rejected token is refreshed and the request sent again when the provider can invalidate it', async () => {
+        const invalidated = [];
+        let token = 'stale';
+        const auth = {
+            getAccessToken: async () => token,
+            invalidate: rejected => { invalidated.push(rejected); token = 'fresh'; }
+        };
+        const canvas = new CanvasMultiCurl(null, domain, 10, 0, { logger: null, auth });
+        const response = await canvas.processRequest(canvas.createRequestConfig('users/self'));
+        assert.equal(response.data.id, 1);
+        assert.deepEqual(invalidated, ['stale']);
+    });
+
+    test('a provider with only getAccessToken gets an AuthenticationError for a rejected token', async () => {
+        canvasApi.requests.length = 0;
+        const canvas = new CanvasMultiCurl(null, domain, 10, 0, { logger: null, auth: { getAccessToken: async () => 'stale' } });
+        const failures = [];
+        assert.equal(await canvas.processRequest(canvas.createRequestConfig('users/self'), failures), null);
+        assert.ok(failures[0] instanceof CanvasMultiCurl.AuthenticationError, failures[0] && failures[0].message);
+        assert.equal(canvasApi.count('users/self'), 1);
+    });
+});
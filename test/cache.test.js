@@ -0,0 +1,104 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CanvasMultiCurl = require('../CanvasMultiCurl');
+const { FakeCanvas, makeItems } = require('./fakeCanvas');
+
+describe('response cache', () => {
+    const canvasApi = new FakeCanvas();
+    let domain;
+
+    before(async () => {
+        domain = await canvasApi.start();
+        canvasApi.addList('courses/1/users', makeItems(25));
+    });
+    after(() => canvasApi.close());
+
+    test('cache hits go out as request and response events, so progress counts them', async () => {
+        const canvas = new CanvasMultiCurl('token', domain, 10, 0, { logger: null, cache: true });
+        await canvas.getList('courses/1/users', false, 10);
+        const sent = canvasApi.count('courses/1/users');
+
+        const requests = [];
+        const responses = [];
+        canvas.on('request', config => requests.push(config.url));
+        canvas.on('response', (response, duration) => responses.push({ cached: response.cached, duration }));
+        let progress = null;
+        const users = await canvas.getList('courses/1/users', { perPage: 10, onProgress: stats => { progress = stats; } });
+
+        assert.equal(users.length, 25);
+        assert.equal(canvasApi.count('courses/1/users'), sent);
+        assert.equal(canvas.cache.stats.hits, 3);
+        assert.equal(requests.length, 3);
+        assert.deepEqual(responses, [{ cached: true, duration: 0 }, { cached: true, duration: 0 }, { cached: true, duration: 0 }]);
+        assert.equal(progress.pagesFetched, 3);
+    });
+});
+
+describe('cache keys', () => {
+    const canvasApi = new FakeCanvas();
+    let domain;
+
+    before(async () => {
+        domain = await canvasApi.start();
+        // Who Canvas thinks is asking
+        canvasApi.route('GET', 'users/self', request => ({
+            body: { token: request.headers.authorization.slice('Bearer '.length), asUser: request.query.get('as_user_id') }
+        }));
+    });
+    after(() => canvasApi.close());
+
+    test('with several tokens each response comes from the token it was sent with', async () => {
+        const canvas = new CanvasMultiCurl(['alice', 'bob'], domain, 1, 0, { logger: null, cache: true });
+        for (let i = 0; i < 6; i++) {
+            const response = await canvas.processRequest(canvas.createRequestConfig('users/self'));
+            assert.equal(`Bearer ${response.data.token}`, response.config.headers.Authorization);
+        }
+        assert.ok(canvas.cache.stats.hits > 0);
+    });
+
+    test('masquerading requests never share cached responses', async () => {
+        const canvas = new CanvasMultiCurl('token', domain, 10, 0, { logger: null, cache: true });
+        const asUser = async userId => (await canvas.processRequest(canvas.createRequestConfig('users/self', 'GET', null, null, false, { asUser: userId }))).data.asUser;
+        assert.equal(await asUser(1), '1');
+        assert.equal(await asUser(2), '2');
+        assert.equal(await asUser(1), '1');
+
+        // as_user_id in params (say, from an interceptor) counts too
+        assert.equal((await canvas.processRequest(canvas.createRequestConfig('users/self'))).data.asUser, null);
+        const config = canvas.createRequestConfig('users/self');
+        config.params = { as_user_id: 3 };
+        assert.equal((await canvas.processRequest(config)).data.asUser, '3');
+    });
+});
+
+describe('DiskCacheStore', () => {
+    test('invalidation reads keys, not cached bodies', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvas-cache-'));
+        try {
+            const cache = new CanvasMultiCurl.ResponseCache({ store: dir });
+            const config = url => ({ method: 'GET', url: `https://canvas.test/api/v1/${url}`, headers: { Authorization: 'Bearer token' } });
+            await cache.save(config('courses/1/assignments'), { headers: {}, data: [{ id: 5 }] });
+            await cache.save(config('courses/2/assignments'), { headers: {}, data: [{ id: 6 }] });
+
+            // A second store over the same directory, like another run sharing the cache
+            const reads = [];
+            const readFile = fs.promises.readFile;
+            fs.promises.readFile = (file, ...args) => { reads.push(path.extname(file)); return readFile(file, ...args); };
+            try {
+                const other = new CanvasMultiCurl.ResponseCache({ store: dir });
+                assert.equal(await other.invalidate('https://canvas.test/api/v1/courses/1/assignments/5'), 1);
+                assert.equal(await other.invalidate('https://canvas.test/api/v1/courses/3/assignments/7'), 0);
+            } finally {
+                fs.promises.readFile = readFile;
+            }
+            assert.deepEqual(reads, ['.key', '.key']);
+            assert.equal(await cache.lookup(config('courses/1/assignments')), null);
+            assert.ok(await cache.lookup(config('courses/2/assignments')));
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,128 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main } = require('../bin/canvas-multicurl');
+const { FakeCanvas, makeItems } = require('./fakeCanvas');
+
+describe('canvas-multicurl', () => {
+    const canvasApi = new FakeCanvas();
+    let env;
+    let dir;
+
+    before(async () => {
+        env = { CANVAS_DOMAIN: await canvasApi.start(), CANVAS_ACCESS_TOKEN: 'token' };
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvas-multicurl-'));
+
+        canvasApi.addList('courses/1/assignments', makeItems(25).map(item => ({ ...item, points: { possible: 10 } })));
+        canvasApi.addList('courses/2/enrollments', makeItems(3, 200));
+        canvasApi.addList('courses/3/enrollments', makeItems(2, 300));
+        canvasApi.addList('courses/1/students/submissions', [{ id: 7, user_id: 5, assignment_id: 1, score: 9 }]);
+        canvasApi.route('GET', /^courses\/\d+$/, request => ({ body: { id: Number(request.path.split('/')[1]), name: `Course ${request.path.split('/')[1]}` } }));
+        canvasApi.route('POST', /update_grades$/, request => ({ body: { id: 99, url: `progress/99`, workflow_state: 'completed', request: request.body } }));
+    });
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        return canvasApi.close();
+    });
+
+    // Run the CLI in this process, collecting what it writes
+    async function run(args, runEnv = env) {
+        let stdout = '';
+        let stderr = '';
+        const code = await main(args, runEnv, { write: text => { stdout += text; } }, { write: text => { stderr += text; } });
+        return { code, stdout, stderr };
+    }
+
+    test('list prints every page as JSON', async () => {
+        const { code, stdout } = await run(['list', 'courses/1/assignments', '--per-page', '10', '--min-time', '0']);
+        assert.equal(code, 0);
+        assert.deepEqual(JSON.parse(stdout).map(item => item.id), makeItems(25).map(item => item.id));
+    });
+
+    test('list passes --vars on as the query string', async () => {
+        await run(['list', 'courses/1/assignments', '--vars', 'bucket=past', '--min-time', '0']);
+        const request = canvasApi.requests[canvasApi.requests.length - 1];
+        assert.equal(request.query.get('bucket'), 'past');
+    });
+
+    test('list writes CSV with dotted columns to a file', async () => {
+        const output = path.join(dir, 'assignments.csv');
+        const { code, stdout } = await run(['list', 'courses/1/assignments', '-f', 'csv', '-o', output, '--min-time', '0']);
+        assert.equal(code, 0);
+        assert.equal(stdout, '');
+        const lines = fs.readFileSync(output, 'utf8').trim().split('\n');
+        assert.equal(lines[0], 'id,name,points.possible');
+        assert.equal(lines[1], '1,Item 1,10');
+        assert.equal(lines.length, 26);
+    });
+
+    test('--columns picks and orders the CSV columns', async () => {
+        const { stdout } = await run(['list', 'courses/1/assignments', '-f', 'csv', '--columns', 'points.possible,id', '--min-time', '0']);
+        assert.deepEqual(stdout.split('\n').slice(0, 2), ['points.possible,id', '10,1']);
+    });
+
+    test('fanout reads items from a file and tags NDJSON records with their item', async () => {
+        const itemsFile = path.join(dir, 'ids.txt');
+        fs.writeFileSync(itemsFile, '2\n# skip me\n\n3\n');
+        const { code, stdout } = await run(['fanout', 'courses/<item>/enrollments', '--items-file', itemsFile, '-f', 'ndjson', '--min-time', '0']);
+        assert.equal(code, 0);
+        const records = stdout.trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(records.map(record => [record.item, record.id]), [['2', 200], ['2', 201], ['2', 202], ['3', 300], ['3', 301]]);
+    });
+
+    test('fanout works for endpoints that return a single object', async () => {
+        const { code, stdout } = await run(['fanout', 'courses/<item>', '--items', '1,2', '-f', 'ndjson', '--min-time', '0']);
+        assert.equal(code, 0);
+        const records = stdout.trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(records, [{ item: '1', id: 1, name: 'Course 1' }, { item: '2', id: 2, name: 'Course 2' }]);
+    });
+
+    test('fanout exits with 2 when an item fails', async () => {
+        const { code, stdout, stderr } = await run(['fanout', 'courses/<item>/enrollments', '--items', '2,404', '--min-time', '0', '--log-level', 'silent']);
+        assert.equal(code, 2);
+        assert.deepEqual(Object.keys(JSON.parse(stdout)), ['2']);
+        assert.match(stderr, /404 Not Found/);
+    });
+
+    test('submissions asks for the given assignments and students', async () => {
+        const { code, stdout } = await run(['submissions', '1', '--assignments', '1,2', '--students', '5', '--min-time', '0']);
+        assert.equal(code, 0);
+        assert.equal(JSON.parse(stdout)[0].score, 9);
+        const request = canvasApi.requests[canvasApi.requests.length - 1];
+        assert.deepEqual(request.query.getAll('assignment_ids[]'), ['1', '2']);
+        assert.deepEqual(request.query.getAll('student_ids[]'), ['5']);
+    });
+
+    test('grade posts a CSV of grades', async () => {
+        const csv = path.join(dir, 'grades.csv');
+        fs.writeFileSync(csv, 'assignment_id,user_id,grade,comment,excuse\n1,5,9,"Good, mostly",\n1,6,,,yes\n2,5,A-,,\n');
+        const { code, stdout } = await run(['grade', '10', '--csv', csv, '--min-time', '0']);
+        assert.equal(code, 0);
+        assert.deepEqual(JSON.parse(stdout), { complete: true, dryRun: false, graded: 3, failed: [] });
+
+        const posts = canvasApi.requests.filter(request => request.method === 'POST').map(request => [request.path, request.body]);
+        assert.deepEqual(posts, [
+            ['courses/10/assignments/1/submissions/update_grades', { grade_data: { 5: { posted_grade: '9', text_comment: 'Good, mostly' }, 6: { excuse: true } } }],
+            ['courses/10/assignments/2/submissions/update_grades', { grade_data: { 5: { posted_grade: 'A-' } } }]
+        ]);
+    });
+
+    test('grade --dry-run sends nothing', async () => {
+        const csv = path.join(dir, 'grades.csv');
+        const before = canvasApi.requests.length;
+        const { code, stderr } = await run(['grade', '10', '--csv', csv, '--dry-run', '--min-time', '0', '--log-level', 'warn']);
+        assert.equal(code, 0);
+        assert.equal(canvasApi.requests.length, before);
+        assert.match(stderr, /Dry run: 2 writes not sent/);
+    });
+
+    test('missing credentials and bad arguments exit with 1 and say why', async () => {
+        assert.match((await run(['list', 'courses'], { CANVAS_DOMAIN: env.CANVAS_DOMAIN })).stderr, /CANVAS_ACCESS_TOKEN/);
+        assert.equal((await run(['frobnicate'])).code, 1);
+        assert.match((await run(['list', 'courses', '-f', 'xml'])).stderr, /Unknown format xml/);
+        assert.match((await run(['fanout', 'courses/<item>/users'])).stderr, /--items-file or --items/);
+        assert.match((await run(['list', 'courses', '-f', 'sqlite', '-o', path.join(dir, 'x.db')])).stderr, /--table/);
+    });
+});
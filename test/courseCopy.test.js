@@ -0,0 +1,106 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const CanvasMultiCurl = require('../CanvasMultiCurl');
+const { FakeCanvas } = require('./fakeCanvas');
+
+describe('copyCourse', () => {
+    const canvasApi = new FakeCanvas();
+    let canvas;
+
+    // Course 13's copy fails; 12's finishes with a couple of issues
+    const migrations = {};
+    let nextId = 1;
+
+    before(async () => {
+        const domain = await canvasApi.start();
+        canvas = new CanvasMultiCurl('token', domain, 10, 0, { logger: null });
+
+        canvasApi.route('POST', /^courses\/\d+\/content_migrations$/, request => {
+            const courseId = Number(request.path.split('/')[1]);
+            const id = nextId++;
+            migrations[id] = { id, courseId, polls: 0, body: request.body };
+            return { body: { id, workflow_state: 'queued', progress_url: `${domain}/api/v1/progress/${id}` } };
+        });
+        canvasApi.route('GET', /^progress\/\d+$/, request => {
+            const migration = migrations[request.path.split('/')[1]];
+            migration.polls++;
+            const finished = migration.polls > 1;
+            const failed = migration.courseId === 13;
+            return { body: { id: migration.id, completion: finished ? 100 : 50, workflow_state: finished ? (failed ? 'failed' : 'completed') : 'running', message: failed ? 'copy blew up' : null } };
+        });
+        canvasApi.route('GET', /^courses\/\d+\/content_migrations\/\d+$/, request => {
+            const migration = migrations[request.path.split('/')[3]];
+            return { body: { id: migration.id, workflow_state: migration.courseId === 13 ? 'failed' : 'completed', migration_issues_count: [12, 13].includes(migration.courseId) ? 2 : 0 } };
+        });
+        canvasApi.route('GET', /^courses\/\d+\/content_migrations\/\d+\/migration_issues$/, request => {
+            const migrationId = Number(request.path.split('/')[3]);
+            return {
+                body: [
+                    { id: migrationId * 10, issue_type: 'warning', description: 'Missing links found in imported content' },
+                    { id: migrationId * 10 + 1, issue_type: migrations[migrationId].courseId === 13 ? 'error' : 'todo', description: 'Import problem' }
+                ]
+            };
+        });
+    });
+    after(() => canvasApi.close());
+
+    const wait = { interval: 5 };
+
+    test('copies into every target with the selection and date shift, waiting for each', async () => {
+        const finished = [];
+        canvas.on('copyComplete', result => finished.push(result.targetId));
+        const report = await canvas.copyCourse(1, [11, 12], {
+            select: { modules: [5, 6], assignments: [40] },
+            dateShift: targetId => ({ oldStartDate: '2024-01-08', newStartDate: targetId === 11 ? '2025-01-06' : '2025-01-13', daySubstitutions: { 1: 2 } }),
+            wait
+        });
+        canvas.removeAllListeners('copyComplete');
+
+        assert.equal(report.complete, true);
+        assert.deepEqual(report.succeeded.map(result => [result.targetId, result.migration.workflow_state]), [[11, 'completed'], [12, 'completed']]);
+        assert.deepEqual(finished.sort(), [11, 12]);
+
+        const body = Object.values(migrations).find(migration => migration.courseId === 11).body;
+        assert.deepEqual(body, {
+            migration_type: 'course_copy_importer',
+            settings: { source_course_id: 1 },
+            select: { modules: [5, 6], assignments: [40] },
+            date_shift_options: { shift_dates: true, old_start_date: '2024-01-08', new_start_date: '2025-01-06', day_substitutions: { 1: 2 } }
+        });
+
+        assert.deepEqual(report.issues.map(issue => [issue.targetId, issue.issue_type]), [[12, 'warning'], [12, 'todo']]);
+        assert.deepEqual(report.summary, { courses: 2, succeeded: 2, failed: 0, errors: 0, warnings: 1, todos: 1 });
+    });
+
+    test('failed copies are reported with their issues, and a target that can\'t be copied into too', async () => {
+        canvasApi.fail('courses/14/content_migrations', 403, { times: 1 });
+        const report = await canvas.copyCourse(1, [13, 14], { dateShift: { removeDates: true }, wait });
+
+        assert.equal(report.complete, false);
+        const [failedCopy, forbidden] = report.failed.sort((a, b) => a.targetId - b.targetId);
+        assert.ok(failedCopy.error instanceof CanvasMultiCurl.JobFailedError);
+        assert.match(failedCopy.error.message, /copy blew up/);
+        assert.equal(failedCopy.migration.workflow_state, 'failed');
+        assert.ok(forbidden.error instanceof CanvasMultiCurl.ForbiddenError);
+        assert.equal(forbidden.migration, null);
+        assert.equal(report.summary.errors, 1);
+        assert.deepEqual(Object.values(migrations).find(migration => migration.courseId === 13).body.date_shift_options, { remove_dates: true });
+    });
+
+    test('a dry run sends nothing', async () => {
+        const dryRun = new CanvasMultiCurl('token', canvasApi.url, 10, 0, { logger: null, dryRun: true });
+        const before = canvasApi.requests.length;
+        const report = await dryRun.copyCourse(1, [15, 16]);
+        assert.equal(report.complete, true);
+        assert.equal(canvasApi.requests.length, before);
+        assert.equal(dryRun.dryRunLog.length, 2);
+    });
+
+    test('an aborted signal stops copies that haven\'t started', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const report = await canvas.copyCourse(1, [17, 18], { signal: controller.signal, wait });
+        assert.equal(report.aborted, true);
+        assert.ok(report.failed.every(result => result.error instanceof CanvasMultiCurl.AbortError));
+    });
+});
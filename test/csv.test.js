@@ -0,0 +1,27 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, flattenRecord, formatCsvRow } = require('../lib/csv');
+
+test('parseCsv handles quotes, embedded commas and line breaks, CRLF and a BOM', () => {
+    const text = '\uFEFFuser_id,comment\r\n1,"Nice, ""really"" nice"\r\n2,"two\nlines"\r\n\r\n3,\r\n';
+    assert.deepEqual(parseCsv(text), [
+        { user_id: '1', comment: 'Nice, "really" nice' },
+        { user_id: '2', comment: 'two\nlines' },
+        { user_id: '3', comment: '' }
+    ]);
+});
+
+test('flattenRecord uses dotted paths for nested objects and keeps arrays whole', () => {
+    assert.deepEqual(flattenRecord({ id: 1, user: { name: 'A', login: { id: 'a' } }, tags: [1, 2], missing: null }), {
+        id: 1, 'user.name': 'A', 'user.login.id': 'a', tags: [1, 2], missing: null
+    });
+});
+
+test('formatCsvRow quotes what needs it and round-trips through parseCsv', () => {
+    const csv = formatCsvRow(['id', 'name', 'tags']) + formatCsvRow([1, 'Smith, "J"', ['a']]) + formatCsvRow([2, null, undefined]);
+    assert.equal(csv, 'id,name,tags\n1,"Smith, ""J""","[""a""]"\n2,,\n');
+    assert.deepEqual(parseCsv(csv), [
+        { id: '1', name: 'Smith, "J"', tags: '["a"]' },
+        { id: '2', name: '', tags: '' }
+    ]);
+});
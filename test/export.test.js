@@ -0,0 +1,127 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const CanvasMultiCurl = require('../CanvasMultiCurl');
+const { exportCsv, exportNdjson, exportSqlite, openSqlite } = require('../lib/export');
+const { parseCsv } = require('../lib/csv');
+const { FakeCanvas, makeItems } = require('./fakeCanvas');
+
+// SQLite comes from node:sqlite (Node 22.5+) or better-sqlite3, neither of which is guaranteed to be there
+let sqliteMissing = false;
+try {
+    openSqlite(':memory:').close();
+} catch (error) {
+    sqliteMissing = 'needs node:sqlite or better-sqlite3';
+}
+
+const submissions = [
+    { id: 1, user_id: 10, score: 9.5, late: false, user: { name: 'Ann', login: { id: 'ann' } }, tags: ['a'] },
+    { id: 2, user_id: 11, score: null, late: true, user: { name: 'Smith, Bob' } }
+];
+
+// Collect what's written to a stream
+function capture() {
+    const stream = new PassThrough();
+    let text = '';
+    stream.on('data', chunk => { text += chunk; });
+    return { stream, text: () => text };
+}
+
+describe('exporters', () => {
+    const canvasApi = new FakeCanvas();
+    let canvas;
+    let dir;
+
+    before(async () => {
+        canvas = new CanvasMultiCurl('token', await canvasApi.start(), 10, 0, { logger: null });
+        canvasApi.addList('courses/1/users', makeItems(25));
+        canvasApi.addList('courses/2/users', makeItems(3, 100));
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvas-export-'));
+    });
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        return canvasApi.close();
+    });
+
+    test('exportCsv flattens nested fields into dotted columns', async () => {
+        const file = path.join(dir, 'submissions.csv');
+        const result = await exportCsv(submissions, file);
+        assert.deepEqual(result, { records: 2, columns: ['id', 'user_id', 'score', 'late', 'user.name', 'user.login.id', 'tags'] });
+        assert.deepEqual(parseCsv(fs.readFileSync(file, 'utf8')), [
+            { id: '1', user_id: '10', score: '9.5', late: 'false', 'user.name': 'Ann', 'user.login.id': 'ann', tags: '["a"]' },
+            { id: '2', user_id: '11', score: '', late: 'true', 'user.name': 'Smith, Bob', 'user.login.id': '', tags: '' }
+        ]);
+    });
+
+    test('exportCsv takes chosen columns as paths or named getters', async () => {
+        const output = capture();
+        await exportCsv(submissions, output.stream, { columns: { Student: 'user.name', Score: 'score', Late: s => s.late ? 'yes' : 'no' } });
+        assert.equal(output.text(), 'Student,Score,Late\nAnn,9.5,no\n"Smith, Bob",,yes\n');
+    });
+
+    test('exportCsv streams pages from iterate and keeps going past the column sample', async () => {
+        const output = capture();
+        const result = await exportCsv(canvas.iterate('courses/1/users', false, 10), output.stream, { sampleSize: 5 });
+        assert.equal(result.records, 25);
+        assert.equal(output.text().trim().split('\n').length, 26);
+    });
+
+    test('exportNdjson tags getAllResultsFromArray records with their item', async () => {
+        const results = await canvas.getAllResultsFromArray('courses/<item>/users', [2, 1], false, 10);
+        const output = capture();
+        const result = await exportNdjson(results, output.stream);
+        const records = output.text().trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(result.records, 28);
+        assert.deepEqual(records.filter(record => record.item === '2').map(record => record.id), [100, 101, 102]);
+    });
+
+    test('exportNdjson gives records from a pattern with several placeholders a field for each', async () => {
+        const results = { 1: { 10: [{ id: 5 }] }, 2: { 20: [{ id: 6 }] } };
+        Object.defineProperty(results, 'report', { value: { placeholders: ['course', 'assignment'] } });
+        const output = capture();
+        await exportNdjson(results, output.stream);
+        assert.deepEqual(output.text().trim().split('\n').map(line => JSON.parse(line)), [
+            { course: '1', assignment: '10', id: 5 },
+            { course: '2', assignment: '20', id: 6 }
+        ]);
+    });
+
+    test('exportNdjson takes iterateFromArray pages', async () => {
+        const output = capture();
+        await exportNdjson(canvas.iterateFromArray('courses/<item>/users', [2], false, 10), output.stream);
+        assert.deepEqual(output.text().trim().split('\n').map(line => JSON.parse(line).item), [2, 2, 2]);
+    });
+
+    test('exports go to anything with a write method, and leave streams without their listeners', async () => {
+        let text = '';
+        await exportNdjson(submissions.slice(0, 1), { write: chunk => { text += chunk; } });
+        assert.equal(JSON.parse(text).id, 1);
+
+        const output = capture();
+        const listeners = output.stream.listenerCount('error');
+        await exportCsv(submissions, output.stream);
+        assert.equal(output.stream.listenerCount('error'), listeners);
+    });
+
+    test('exportSqlite infers a table and upserts by id', { skip: sqliteMissing }, async () => {
+        const file = path.join(dir, 'report.db');
+        await exportSqlite(submissions, file, 'submissions');
+        await exportSqlite([{ id: 2, score: 7, workflow_state: 'graded' }, { id: 3, user_id: 12 }], file, 'submissions');
+
+        const db = openSqlite(file);
+        const rows = db.prepare('SELECT id, user_id, score, late, "user.name" AS name, workflow_state FROM submissions ORDER BY id').all();
+        db.close();
+        assert.deepEqual(rows.map(row => ({ ...row })), [
+            { id: 1, user_id: 10, score: 9.5, late: 0, name: 'Ann', workflow_state: null },
+            { id: 2, user_id: 11, score: 7, late: 1, name: 'Smith, Bob', workflow_state: 'graded' },
+            { id: 3, user_id: 12, score: null, late: null, name: null, workflow_state: null }
+        ]);
+    });
+
+    test('exportSqlite refuses records without the key', { skip: sqliteMissing }, async () => {
+        await assert.rejects(exportSqlite([{ name: 'no id' }], path.join(dir, 'bad.db'), 'things'), /has no id/);
+    });
+});
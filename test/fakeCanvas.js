@@ -0,0 +1,188 @@
+// A fake Canvas API for the tests, on a random local port. It serves lists with Canvas-style Link headers (numbered
+// pages with or without a rel="last" link, ID bookmarks the library can decode, and opaque ones it can't), keeps a
+// rate limit bucket reported in X-Rate-Limit-Remaining that turns requests away with Canvas's 403 when it's empty,
+// and can fail chosen paths with any status.
+const http = require('http');
+
+function encodeBookmark(value) {
+    return 'bookmark:' + Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeBookmark(page) {
+    if (!page || !page.startsWith('bookmark:')) return null;
+    return JSON.parse(Buffer.from(page.slice('bookmark:'.length), 'base64url').toString('utf8'));
+}
+
+class FakeCanvas {
+    // bucket: { capacity, cost, leakPerSecond } to simulate throttling; off unless given
+    constructor({ bucket = null } = {}) {
+        this.lists = new Map();
+        this.failures = [];
+        this.routes = [];
+        this.requests = [];
+        this.bucket = bucket ? { capacity: 700, cost: 1, leakPerSecond: 10, ...bucket, used: 0, updatedAt: Date.now() } : null;
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    async start() {
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        return this.url;
+    }
+
+    close() {
+        this.server.closeAllConnections();
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    /*
+    Serve items (objects with numeric ids) at path, e.g. 'courses/1/users'. options:
+        pagination    'numbered' (default), 'bookmark' (sorted by ID) or 'opaque' (bookmarks of something else)
+        omitLast      leave out the rel="last" link, like Canvas does for lists that are expensive to count (or a
+                      page number to only leave it out before that page)
+        maxPerPage    cap per_page the way some endpoints do (default 100)
+    */
+    addList(path, items, options = {}) {
+        this.lists.set(path, { items: items.slice().sort((a, b) => a.id - b.id), pagination: 'numbered', maxPerPage: 100, ...options });
+    }
+
+    // Answer requests for path (a string or RegExp matched against the path after /api/v1/) with status, the
+    // first `times` times (only for one page of a list, if page is given)
+    fail(path, status, { times = Infinity, page = null, body = { errors: [{ message: `fake ${status}` }] }, headers = {} } = {}) {
+        this.failures.push({ path, status, times, page, body, headers });
+    }
+
+    // Anything else: handler(request) returns { status, headers, body }, where request is { method, path, query, body }
+    route(method, path, handler) {
+        this.routes.push({ method, path, handler });
+    }
+
+    // How many requests there were for a path, optionally only ones for a given page
+    count(path, page) {
+        return this.requests.filter(request => request.path === path && (page === undefined || request.query.get('page') === String(page))).length;
+    }
+
+    handle(req, res) {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, this.url);
+            const raw = Buffer.concat(chunks); // for binary bodies, like zipped SIS imports
+            const request = {
+                method: req.method,
+                path: url.pathname.replace(/^\/api\/v1\//, ''),
+                query: url.searchParams,
+                headers: req.headers,
+                body: raw.length ? parseBody(raw.toString('utf8')) : null,
+                raw
+            };
+            this.requests.push(request);
+
+            const send = (status, data, headers = {}) => {
+                res.writeHead(status, { 'Content-Type': 'application/json', ...this.takeFromBucket(status), ...headers });
+                res.end(typeof data === 'string' ? data : JSON.stringify(data));
+            };
+
+            this.leak();
+            if (this.bucket && this.bucket.capacity - this.bucket.used < this.bucket.cost) {
+                return send(403, '403 Forbidden (Rate Limit Exceeded)');
+            }
+
+            const failure = this.failures.find(entry => entry.times > 0 && matches(entry.path, request.path) &&
+                (entry.page === null || request.query.get('page') === String(entry.page)));
+            if (failure) {
+                failure.times--;
+                return send(failure.status, failure.body, failure.headers);
+            }
+
+            const route = this.routes.find(entry => entry.method === req.method && matches(entry.path, request.path));
+            if (route) {
+                const answer = route.handler(request) || {};
+                return send(answer.status || 200, answer.body !== undefined ? answer.body : {}, answer.headers);
+            }
+
+            const list = this.lists.get(request.path);
+            if (list && req.method === 'GET') {
+                const { items, links } = this.page(list, url);
+                return send(200, items, { Link: links });
+            }
+            send(404, { errors: [{ message: 'The specified resource does not exist.' }] });
+        });
+    }
+
+    // One page of a list and its Link header
+    page(list, url) {
+        const perPage = Math.min(parseInt(url.searchParams.get('per_page')) || 10, list.maxPerPage);
+        const pageValue = url.searchParams.get('page');
+        const link = (rel, page) => {
+            const linkUrl = new URL(url);
+            linkUrl.searchParams.set('page', page);
+            linkUrl.searchParams.set('per_page', perPage);
+            return `<${linkUrl}>; rel="${rel}"`;
+        };
+
+        if (list.pagination === 'numbered') {
+            const page = parseInt(pageValue) || 1;
+            const items = list.items.slice((page - 1) * perPage, page * perPage);
+            const lastPage = Math.max(1, Math.ceil(list.items.length / perPage));
+            const links = [link('current', page)];
+            if (page < lastPage) links.push(link('next', page + 1));
+            if (page > 1) links.push(link('prev', page - 1));
+            links.push(link('first', 1));
+            if (!(list.omitLast === true || page < list.omitLast)) links.push(link('last', lastPage));
+            return { items, links: links.join(',') };
+        }
+
+        // Bookmarks hold the ID (or, for opaque ones, a name and the ID) of the last item on the previous page
+        const bookmark = decodeBookmark(pageValue);
+        const afterId = bookmark === null ? -Infinity : (Array.isArray(bookmark) ? bookmark[bookmark.length - 1] : bookmark);
+        const remaining = list.items.filter(item => item.id > afterId);
+        const items = remaining.slice(0, perPage);
+        const links = [link('current', pageValue || 'first')];
+        if (remaining.length > perPage) {
+            const last = items[items.length - 1];
+            links.push(link('next', encodeBookmark(list.pagination === 'opaque' ? [`name ${last.id}`, last.id] : [last.id])));
+        }
+        links.push(link('first', 'first'));
+        return { items, links: links.join(',') };
+    }
+
+    // The bucket drains steadily between requests
+    leak() {
+        if (!this.bucket) return;
+        const now = Date.now();
+        this.bucket.used = Math.max(0, this.bucket.used - (now - this.bucket.updatedAt) / 1000 * this.bucket.leakPerSecond);
+        this.bucket.updatedAt = now;
+    }
+
+    // Charge a request to the bucket (throttled ones are free) and report what's left, like Canvas does
+    takeFromBucket(status) {
+        if (!this.bucket) return {};
+        const bucket = this.bucket;
+        const cost = status === 403 ? 0 : bucket.cost;
+        bucket.used += cost;
+        return {
+            'X-Rate-Limit-Remaining': String(status === 403 ? bucket.capacity - bucket.used - bucket.cost : bucket.capacity - bucket.used),
+            'X-Request-Cost': String(cost || bucket.cost)
+        };
+    }
+}
+
+function matches(pattern, path) {
+    return pattern instanceof RegExp ? pattern.test(path) : pattern === path;
+}
+
+function parseBody(body) {
+    try {
+        return JSON.parse(body);
+    } catch (error) {
+        return body;
+    }
+}
+
+// Numbered items for lists
+function makeItems(count, firstId = 1, step = 1) {
+    return Array.from({ length: count }, (_, i) => ({ id: firstId + i * step, name: `Item ${firstId + i * step}` }));
+}
+
+module.exports = { FakeCanvas, makeItems, encodeBookmark };
@@ -0,0 +1,85 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const CanvasMultiCurl = require('../CanvasMultiCurl');
+const { FakeCanvas } = require('./fakeCanvas');
+
+describe('migrateGrades', () => {
+    const canvasApi = new FakeCanvas();
+    let canvas;
+    let posted;
+
+    // Course 1 is the old course and 2 the new one; user 1 already has the same quiz grade in the new course and
+    // user 2 a different one
+    const submissions = [
+        { course: 1, assignment_id: 11, user_id: 1, score: 8, grade: '8' },
+        { course: 1, assignment_id: 12, user_id: 1, score: 5, grade: '5' },
+        { course: 1, assignment_id: 11, user_id: 2, score: 9, grade: '9' },
+        { course: 1, assignment_id: 13, user_id: 2, score: null, grade: null },
+        { course: 1, assignment_id: 11, user_id: 3, score: 7, grade: '7' },
+        { course: 2, assignment_id: 21, user_id: 1, score: 8, grade: '8' },
+        { course: 2, assignment_id: 21, user_id: 2, score: 6, grade: '6' }
+    ];
+    const rules = [
+        { target: 'Quiz' },
+        { target: 'Live Training', anyOf: ['Zoom Session', 'Live Class'], grade: 100 },
+        { target: 'Complete', source: null, default: 100 }
+    ];
+
+    before(async () => {
+        canvas = new CanvasMultiCurl('token', await canvasApi.start(), 10, 0, { logger: null });
+        canvasApi.addList('courses/1/assignments', [{ id: 11, name: 'Quiz' }, { id: 12, name: 'Zoom Session' }, { id: 13, name: 'Live Class' }]);
+        canvasApi.addList('courses/2/assignments', [{ id: 21, name: 'Quiz' }, { id: 22, name: 'Live Training' }, { id: 23, name: 'Complete' }]);
+        canvasApi.route('GET', /^courses\/\d+\/students\/submissions$/, request => {
+            const course = Number(request.path.split('/')[1]);
+            const assignments = request.query.getAll('assignment_ids[]').map(Number);
+            const students = request.query.getAll('student_ids[]').map(Number);
+            return {
+                body: submissions
+                    .filter(submission => submission.course === course && assignments.includes(submission.assignment_id) && students.includes(submission.user_id))
+                    .map(({ course, ...submission }) => submission)
+            };
+        });
+        canvasApi.route('POST', /^courses\/2\/assignments\/\d+\/submissions\/update_grades$/, request => {
+            posted[request.path.split('/')[3]] = request.body.grade_data;
+            return { body: { id: 1, workflow_state: 'completed', completion: 100 } };
+        });
+    });
+    after(() => canvasApi.close());
+
+    const names = entries => entries.map(entry => entry.assignment);
+
+    test('carries grades over by rule, skipping identical ones and reporting conflicts', async () => {
+        posted = {};
+        const report = await canvas.migrateGrades({ from: 1, to: 2, rules }, [1, 2, 3]);
+
+        assert.equal(report.complete, true);
+        assert.deepEqual(report.missing, []);
+        assert.deepEqual(posted, {
+            21: { 3: { posted_grade: 7 } },
+            22: { 1: { posted_grade: 100 } },
+            23: { 1: { posted_grade: 100 }, 2: { posted_grade: 100 }, 3: { posted_grade: 100 } }
+        });
+
+        assert.deepEqual(names(report.users[1].transferred).sort(), ['Complete', 'Live Training']);
+        assert.equal(report.users[1].transferred.find(entry => entry.assignment === 'Live Training').from, 'Zoom Session');
+        assert.deepEqual(report.users[1].skipped.map(entry => [entry.assignment, entry.reason]), [['Quiz', 'already has this grade']]);
+
+        assert.deepEqual(report.users[2].conflicts.map(entry => [entry.assignment, entry.grade, entry.existing.score]), [['Quiz', 9, 6]]);
+        assert.deepEqual(names(report.users[2].transferred), ['Complete']);
+        assert.deepEqual(report.users[2].skipped.map(entry => [entry.assignment, entry.reason]), [['Live Training', 'nothing to transfer']]);
+
+        assert.deepEqual(names(report.users[3].transferred).sort(), ['Complete', 'Quiz']);
+    });
+
+    test("onConflict 'overwrite' replaces different grades, and a missing target makes it incomplete", async () => {
+        posted = {};
+        const report = await canvas.migrateGrades({ from: 1, to: 2, rules: rules.concat({ target: 'Gone' }), onConflict: 'overwrite' }, [1, 2, 3]);
+
+        assert.equal(report.complete, false);
+        assert.deepEqual(report.missing, [{ rule: 3, course: 'target', matcher: 'Gone' }]);
+        assert.deepEqual(posted[21], { 2: { posted_grade: 9 }, 3: { posted_grade: 7 } });
+        assert.deepEqual(report.users[2].conflicts, []);
+        assert.deepEqual(report.users[2].transferred.find(entry => entry.assignment === 'Quiz').replaced, { grade: '6', score: 6 });
+        assert.deepEqual(report.users[1].skipped.map(entry => entry.assignment), ['Quiz']);
+    });
+});
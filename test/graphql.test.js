@@ -0,0 +1,47 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const CanvasMultiCurl = require('../CanvasMultiCurl');
+const { FakeCanvas } = require('./fakeCanvas');
+
+const QUERY = `query ($id: ID!, $cursor: String) {
+    course(id: $id) { enrollmentsConnection(first: 2, after: $cursor) { nodes { _id } pageInfo { endCursor hasNextPage } } }
+}`;
+
+describe('graphqlPaginate', () => {
+    const canvasApi = new FakeCanvas();
+    let canvas;
+
+    before(async () => {
+        canvas = new CanvasMultiCurl('token', await canvasApi.start(), 10, 0, { logger: null });
+        // Each course has three enrollments, two to a page; course 2 can't be seen, so it comes back null
+        canvasApi.route('POST', '/api/graphql', request => {
+            const { id, cursor } = request.body.variables;
+            if (Number(id) === 2) {
+                return { body: { data: { course: null } } };
+            }
+            const start = cursor ? Number(cursor) : 0;
+            const nodes = [1, 2, 3].slice(start, start + 2).map(n => ({ _id: `${id}0${n}` }));
+            const hasNextPage = start + 2 < 3;
+            return { body: { data: { course: { enrollmentsConnection: { nodes, pageInfo: { endCursor: hasNextPage ? String(start + 2) : null, hasNextPage } } } } } };
+        });
+    });
+    after(() => canvasApi.close());
+
+    const path = 'course.enrollmentsConnection';
+
+    test('follows the cursor to the end of a connection', async () => {
+        const nodes = await canvas.graphqlPaginate(QUERY, { id: 1 }, { path });
+        assert.deepEqual(nodes.map(node => node._id), ['101', '102', '103']);
+        assert.equal(nodes.report.complete, true);
+    });
+
+    test('an item with nothing at the path is a failed item, and the rest still come back', async () => {
+        const results = await canvas.graphqlPaginate(QUERY, {}, { path, items: [1, 2, 3] });
+        assert.deepEqual(results[1].map(node => node._id), ['101', '102', '103']);
+        assert.deepEqual(results[2], []);
+        assert.deepEqual(results[3].map(node => node._id), ['301', '302', '303']);
+        assert.equal(results.report.complete, false);
+        assert.deepEqual(results.report.failedItems, [2]);
+        assert.ok(results.report.failures[0] instanceof CanvasMultiCurl.UnexpectedResponseError);
+    });
+});
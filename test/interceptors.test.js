@@ -0,0 +1,125 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const CanvasMultiCurl = require('../CanvasMultiCurl');
+const { FakeCanvas } = require('./fakeCanvas');
+
+describe('interceptors, events and logging', () => {
+    const canvasApi = new FakeCanvas();
+    let domain;
+
+    before(async () => {
+        domain = await canvasApi.start();
+        canvasApi.route('GET', /^users\/\d+$/, request => ({ body: { id: Number(request.path.split('/')[1]), tag: request.headers['x-tag'] || null } }));
+    });
+    after(() => canvasApi.close());
+
+    const createCanvas = (options = {}) => new CanvasMultiCurl('token', domain, 10, 0, { logger: null, retryPolicy: { baseDelay: 5, jitter: false }, ...options });
+
+    // A logger that remembers what it was told, by level
+    const recordingLogger = () => {
+        const logged = { debug: [], info: [], warn: [], error: [] };
+        const logger = {};
+        Object.keys(logged).forEach(level => { logger[level] = (...args) => logged[level].push(args.join(' ')); });
+        return { logged, logger };
+    };
+
+    test('beforeRequest and afterResponse can change requests and responses, once per request', async () => {
+        const canvas = createCanvas();
+        const seen = [];
+        const retries = [];
+        canvas.use({
+            beforeRequest(config) {
+                seen.push(config.url);
+                config.headers['X-Tag'] = 'first';
+            }
+        });
+        const remove = canvas.use({
+            beforeRequest: async config => ({ ...config, headers: { ...config.headers, 'X-Tag': `${config.headers['X-Tag']}+second` } }),
+            afterResponse: response => ({ ...response, data: { ...response.data, intercepted: true } }),
+            onRetry: info => { retries.push([info.attempt, info.reason]); }
+        });
+
+        canvasApi.fail('users/1', 500, { times: 1 });
+        const config = canvas.createRequestConfig('users/1');
+        const response = await canvas.processRequest(config);
+
+        assert.deepEqual(response.data, { id: 1, tag: 'first+second', intercepted: true });
+        assert.deepEqual(seen, [`${domain}/api/v1/users/1`]);
+        assert.deepEqual(retries, [[1, '500 error']]);
+        assert.equal(config.headers['X-Tag'], undefined, "the caller's config is left alone");
+
+        remove();
+        assert.deepEqual((await canvas.processRequest(canvas.createRequestConfig('users/2'))).data, { id: 2, tag: 'first' });
+    });
+
+    test('an afterResponse that throws fails the request, and a throwing onError is only logged', async () => {
+        const { logged, logger } = recordingLogger();
+        const canvas = createCanvas({ logger });
+        const errors = [];
+        canvas.use({
+            afterResponse() { throw new Error('interceptor broke'); },
+            onError(error) {
+                errors.push(error);
+                throw new Error('onError broke too');
+            }
+        });
+
+        const failures = [];
+        assert.equal(await canvas.processRequest(canvas.createRequestConfig('users/3'), failures), null);
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal(failures.length, 1);
+        assert.ok(failures[0] instanceof CanvasMultiCurl.UnexpectedResponseError);
+        assert.equal(failures[0].cause.message, 'interceptor broke');
+        assert.deepEqual(errors, failures);
+        assert.ok(logged.error.some(message => message.includes('onError interceptor failed: onError broke too')));
+    });
+
+    test('request, response, retry and requestError events carry what happened', async () => {
+        const canvas = createCanvas();
+        const events = [];
+        canvas.on('request', config => events.push(['request', config.method, config.url]));
+        canvas.on('response', (response, duration) => events.push(['response', response.status, typeof duration]));
+        canvas.on('retry', retry => events.push(['retry', retry.attempt, retry.delay, retry.reason, retry.response.status, retry.config.url]));
+        canvas.on('requestError', error => events.push(['requestError', error.name, error.status, error.url]));
+
+        const url = `${domain}/api/v1/users/4`;
+        canvasApi.fail('users/4', 503, { times: 1 });
+        await canvas.processRequest(canvas.createRequestConfig('users/4'));
+        assert.deepEqual(events, [
+            ['request', 'GET', url],
+            ['response', 503, 'number'],
+            ['retry', 1, 5, '503 error', 503, url],
+            ['request', 'GET', url],
+            ['response', 200, 'number']
+        ]);
+
+        events.length = 0;
+        await canvas.processRequest(canvas.createRequestConfig('nothing/here'));
+        assert.deepEqual(events.at(-1), ['requestError', 'NotFoundError', 404, `${domain}/api/v1/nothing/here`]);
+    });
+
+    test('logger: null keeps quiet, and logLevel drops anything below it', async () => {
+        const original = { ...console };
+        const consoleCalls = [];
+        ['debug', 'info', 'warn', 'error', 'log'].forEach(level => { console[level] = () => consoleCalls.push(level); });
+        try {
+            const canvas = createCanvas({ logger: null });
+            canvasApi.fail('users/5', 500, { times: 1 });
+            await canvas.processRequest(canvas.createRequestConfig('users/5'));
+            await canvas.processRequest(canvas.createRequestConfig('nothing/here'));
+        } finally {
+            Object.assign(console, original);
+        }
+        assert.deepEqual(consoleCalls, []);
+
+        const { logged, logger } = recordingLogger();
+        const canvas = createCanvas({ logger, logLevel: 'error' });
+        canvasApi.fail('users/6', 500, { times: 1 });
+        await canvas.processRequest(canvas.createRequestConfig('users/6'));
+        await canvas.processRequest(canvas.createRequestConfig('nothing/here'));
+        assert.equal(logged.warn.length, 0, 'the retry warning is below the level');
+        assert.equal(logged.error.length, 1);
+        assert.throws(() => createCanvas({ logLevel: 'loud' }), /logLevel must be one of/);
+    });
+});
@@ -0,0 +1,90 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const CanvasMultiCurl = require('../CanvasMultiCurl');
+const { FakeCanvas, makeItems } = require('./fakeCanvas');
+
+describe('iterating and cancelling', () => {
+    const canvasApi = new FakeCanvas();
+    let domain;
+
+    before(async () => {
+        domain = await canvasApi.start();
+        canvasApi.addList('courses/1/users', makeItems(95));
+        canvasApi.addList('courses/2/users', makeItems(45));
+        canvasApi.addList('courses/3/users', makeItems(45), { omitLast: true });
+    });
+    after(() => canvasApi.close());
+
+    // One request at a time, 50ms apart, so there are always pages waiting in the queue
+    const createCanvas = () => new CanvasMultiCurl('token', domain, 1, 50, { logger: null });
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+    const ids = results => results.map(result => result.id);
+
+    test('iterate yields pages in order, and breaking out cancels the pages still to come', async () => {
+        const canvas = createCanvas();
+        const pages = [];
+        for await (const page of canvas.iterate('courses/1/users', { perPage: 10 })) {
+            pages.push(ids(page));
+        }
+        assert.deepEqual(pages.flat(), ids(makeItems(95)));
+        assert.equal(pages.length, 10);
+
+        canvasApi.requests.length = 0;
+        for await (const page of canvas.iterate('courses/1/users', { perPage: 10 })) {
+            assert.deepEqual(ids(page), ids(makeItems(10)));
+            break;
+        }
+        await sleep(300);
+        assert.ok(canvasApi.count('courses/1/users') <= 3, `expected the queued pages to be dropped, got ${canvasApi.count('courses/1/users')} requests`);
+        assert.equal(canvas.limiter.counts().QUEUED, 0);
+    });
+
+    test('iterateFromArray yields each item\'s pages, and breaking out cancels the rest', async () => {
+        const canvas = createCanvas();
+        const seen = { 1: [], 2: [] };
+        for await (const { item, data } of canvas.iterateFromArray('courses/<item>/users', [1, 2], { perPage: 10 })) {
+            seen[item].push(...ids(data));
+        }
+        assert.deepEqual(seen, { 1: ids(makeItems(95)), 2: ids(makeItems(45)) });
+
+        canvasApi.requests.length = 0;
+        for await (const result of canvas.iterateFromArray('courses/<item>/users', [2, 1, 3], { perPage: 10 })) {
+            assert.ok(result.data.length > 0);
+            break;
+        }
+        const sent = canvasApi.requests.length;
+        await sleep(300);
+        assert.ok(canvasApi.requests.length <= sent + 1, 'expected no more pages after the loop ended');
+        assert.ok(canvasApi.requests.length < 15);
+    });
+
+    test('aborting a list rejects with an AbortError, or resolves with what came back given partialOnAbort', async () => {
+        const canvas = createCanvas();
+        const abortPartway = () => {
+            const controller = new AbortController();
+            return { signal: controller.signal, onProgress: progress => { if (progress.pagesFetched >= 3) controller.abort(); } };
+        };
+
+        await assert.rejects(canvas.getList('courses/1/users', { perPage: 10, ...abortPartway() }), CanvasMultiCurl.AbortError);
+
+        const partial = await canvas.getList('courses/1/users', { perPage: 10, partialOnAbort: true, ...abortPartway() });
+        assert.equal(partial.report.aborted, true);
+        assert.equal(partial.report.complete, false);
+        assert.ok(partial.length > 0 && partial.length < 95);
+        assert.deepEqual(ids(partial), ids(makeItems(partial.length)));
+    });
+
+    test('an aborted getAllResultsFromArray rejects with an AbortError', async () => {
+        const canvas = createCanvas();
+        const controller = new AbortController();
+        const started = canvas.getAllResultsFromArray('courses/<item>/users', [1, 2, 3], { perPage: 10, signal: controller.signal });
+        setTimeout(() => controller.abort(), 120);
+        await assert.rejects(started, CanvasMultiCurl.AbortError);
+
+        const aborted = new AbortController();
+        aborted.abort();
+        const partial = await canvas.getAllResultsFromArray('courses/<item>/users', [1, 2], { perPage: 10, signal: aborted.signal, partialOnAbort: true });
+        assert.equal(partial.report.aborted, true);
+        assert.equal(partial.report.complete, false);
+    });
+});
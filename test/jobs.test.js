@@ -0,0 +1,45 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { getEventListeners } = require('events');
+const CanvasMultiCurl = require('../CanvasMultiCurl');
+const { FakeCanvas } = require('./fakeCanvas');
+
+describe('waitForProgress', () => {
+    const canvasApi = new FakeCanvas();
+    let canvas;
+
+    // Progress N completes on its Nth check
+    const polls = {};
+
+    before(async () => {
+        canvas = new CanvasMultiCurl('token', await canvasApi.start(), 10, 0, { logger: null });
+        canvasApi.route('GET', /^progress\/\d+$/, request => {
+            const id = Number(request.path.split('/')[1]);
+            polls[id] = (polls[id] || 0) + 1;
+            const done = polls[id] >= id;
+            return { body: { id, completion: done ? 100 : Math.round(100 * polls[id] / id), workflow_state: done ? 'completed' : 'running' } };
+        });
+    });
+    after(() => canvasApi.close());
+
+    test('polls until the job is done without piling listeners onto the signal', async () => {
+        const controller = new AbortController();
+        const completions = [];
+        const progress = await canvas.waitForProgress(20, {
+            interval: 1,
+            backoff: 1,
+            signal: controller.signal,
+            onProgress: completion => completions.push(completion)
+        });
+        assert.equal(progress.workflow_state, 'completed');
+        assert.equal(polls[20], 20);
+        assert.equal(completions.at(-1), 100);
+        assert.equal(getEventListeners(controller.signal, 'abort').length, 0);
+    });
+
+    test('aborting stops the wait', async () => {
+        const controller = new AbortController();
+        setTimeout(() => controller.abort(), 20);
+        await assert.rejects(canvas.waitForProgress(1000, { interval: 5, backoff: 1, signal: controller.signal }), CanvasMultiCurl.AbortError);
+    });
+});
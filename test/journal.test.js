@@ -0,0 +1,108 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CanvasMultiCurl = require('../CanvasMultiCurl');
+const { FakeCanvas } = require('./fakeCanvas');
+
+describe('dry runs, journals and rollback', () => {
+    const canvasApi = new FakeCanvas();
+    const storage = new FakeCanvas(); // where uploads go, which isn't Canvas
+    let domain;
+
+    let assignments;
+    let nextId;
+
+    before(async () => {
+        domain = await canvasApi.start();
+        const storageDomain = await storage.start();
+
+        canvasApi.route('GET', /^courses\/1\/assignments\/\d+$/, request => {
+            const assignment = assignments[request.path.split('/').pop()];
+            return assignment ? { body: assignment } : { status: 404, body: { errors: [{ message: 'not found' }] } };
+        });
+        canvasApi.route('PUT', /^courses\/1\/assignments\/\d+$/, request => {
+            const id = request.path.split('/').pop();
+            assignments[id] = { ...assignments[id], ...request.body.assignment };
+            return { body: assignments[id] };
+        });
+        canvasApi.route('POST', 'courses/1/assignments', request => {
+            const id = nextId++;
+            assignments[id] = { id, ...request.body.assignment };
+            return { body: assignments[id] };
+        });
+        canvasApi.route('DELETE', /^courses\/1\/assignments\/\d+$/, request => {
+            const id = request.path.split('/').pop();
+            const deleted = assignments[id];
+            delete assignments[id];
+            return { body: deleted };
+        });
+        canvasApi.route('POST', 'courses/1/content_migrations', () => ({ body: { id: 9, workflow_state: 'queued' } }));
+        canvasApi.route('POST', 'courses/1/files', () => ({ body: { upload_url: `${storageDomain}/upload/abc`, upload_params: { key: 'abc' } } }));
+        canvasApi.route('GET', 'files/77/create_success', () => ({ body: { id: 77, display_name: 'notes.txt' } }));
+        storage.route('POST', '/upload/abc', () => ({ status: 201, headers: { Location: `${domain}/api/v1/files/77/create_success` }, body: {} }));
+    });
+    after(() => Promise.all([canvasApi.close(), storage.close()]));
+
+    beforeEach(() => {
+        assignments = { 5: { id: 5, name: 'Essay', points_possible: 10 } };
+        nextId = 50;
+        canvasApi.requests.length = 0;
+        storage.requests.length = 0;
+    });
+
+    const writes = () => canvasApi.requests.filter(request => request.method !== 'GET');
+
+    test('a dry run sends no writes, and records them in dryRunLog and the journal', async () => {
+        const journal = new CanvasMultiCurl.MemoryJournal();
+        const canvas = new CanvasMultiCurl('token', domain, 10, 0, { logger: null, dryRun: true, journal });
+        const response = await canvas.processRequest(canvas.createRequestConfig('courses/1/assignments/5', 'PUT', { name: 'Renamed' }, 'assignment'));
+
+        assert.equal(response.dryRun, true);
+        assert.deepEqual(writes(), []);
+        assert.deepEqual(canvas.dryRunLog, [{ method: 'PUT', url: `${domain}/api/v1/courses/1/assignments/5`, data: { assignment: { name: 'Renamed' } } }]);
+        assert.equal(journal.entries.length, 1);
+        assert.equal(journal.entries[0].dryRun, true);
+    });
+
+    test('rollback puts back what was changed and deletes what was created, and nothing else', async () => {
+        const journal = new CanvasMultiCurl.MemoryJournal();
+        const canvas = new CanvasMultiCurl('SECRET', domain, 10, 0, { logger: null, journal });
+        await canvas.processRequest(canvas.createRequestConfig('courses/1/assignments/5', 'PUT', { name: 'Renamed' }, 'assignment'));
+        await canvas.processRequest(canvas.createRequestConfig('courses/1/assignments', 'POST', { name: 'Quiz' }, 'assignment'));
+        await canvas.processRequest(canvas.createRequestConfig('courses/1/content_migrations', 'POST', { migration_type: 'course_copy_importer' }));
+        const file = await canvas.uploadFile({ course: 1 }, Buffer.from('some notes'), { name: 'notes.txt' });
+        assert.equal(file.id, 77);
+
+        // The upload went to storage without the token, and isn't in the journal
+        assert.equal(storage.requests.length, 1);
+        assert.equal(storage.requests[0].headers.authorization, undefined);
+        assert.deepEqual(journal.entries.map(entry => `${entry.method} ${entry.url.replace(domain, '')}`), [
+            'PUT /api/v1/courses/1/assignments/5',
+            'POST /api/v1/courses/1/assignments',
+            'POST /api/v1/courses/1/content_migrations',
+            'POST /api/v1/courses/1/files'
+        ]);
+        assert.deepEqual(journal.entries[0].previous.resource, { id: 5, name: 'Essay', points_possible: 10 });
+        assert.equal(journal.entries[1].createdId, 50);
+
+        const report = await canvas.rollback(await journal.read());
+        assert.deepEqual(report.rolledBack.map(entry => entry.method), ['POST', 'PUT']);
+        assert.deepEqual(report.skipped.map(entry => entry.entry.url.split('/').pop()), ['files', 'content_migrations']);
+        assert.deepEqual(report.failed, []);
+        assert.deepEqual(assignments, { 5: { id: 5, name: 'Essay', points_possible: 10 } });
+        assert.equal(storage.requests.length, 1);
+    });
+
+    test("rollback's own requests aren't journaled", async () => {
+        const journal = new CanvasMultiCurl.MemoryJournal();
+        const canvas = new CanvasMultiCurl('token', domain, 10, 0, { logger: null, journal });
+        await canvas.processRequest(canvas.createRequestConfig('courses/1/assignments/5', 'PUT', { name: 'Renamed' }, 'assignment'));
+        await canvas.processRequest(canvas.createRequestConfig('courses/1/assignments', 'POST', { name: 'Quiz' }, 'assignment'));
+        const before = canvasApi.requests.length;
+
+        const report = await canvas.rollback(await journal.read());
+        assert.equal(report.rolledBack.length, 2);
+        assert.equal(journal.entries.length, 2);
+        // Just the PUT and DELETE: nothing was fetched to journal what they replaced
+        assert.deepEqual(canvasApi.requests.slice(before).map(request => request.method), ['DELETE', 'PUT']);
+    });
+});
@@ -0,0 +1,169 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CanvasMultiCurl = require('../CanvasMultiCurl');
+const { FakeCanvas, makeItems } = require('./fakeCanvas');
+
+describe('pagination', () => {
+    const canvasApi = new FakeCanvas();
+    let canvas;
+
+    before(async () => {
+        const domain = await canvasApi.start();
+        canvas = new CanvasMultiCurl('token', domain, 10, 0, { logger: null });
+
+        canvasApi.addList('courses/1/users', makeItems(95));
+        canvasApi.addList('courses/2/users', makeItems(45), { omitLast: true });
+        canvasApi.addList('courses/3/users', makeItems(60), { omitLast: 3 });
+        canvasApi.addList('courses/4/users', makeItems(7));
+        canvasApi.addList('courses/5/users', makeItems(80), { maxPerPage: 20 });
+        canvasApi.addList('courses/6/users', makeItems(130, 1000, 7), { pagination: 'bookmark' });
+        canvasApi.addList('courses/7/users', makeItems(35), { pagination: 'opaque' });
+        canvasApi.addList('accounts/1/courses/1/sections', makeItems(25, 100));
+        canvasApi.addList('accounts/1/courses/5/sections', makeItems(12, 500));
+        canvasApi.addList('accounts/1/courses/15/sections', makeItems(3, 1500));
+        canvasApi.addList('courses/8/users', makeItems(25, 800));
+        canvasApi.addList('courses/9/users', makeItems(5, 900));
+    });
+    after(() => canvasApi.close());
+
+    const ids = results => results.map(result => result.id);
+
+    test('getPageUrl finds each rel in a Link header', () => {
+        const link = '<https://canvas.test/api/v1/x?page=2&per_page=10>; rel="current",' +
+            '<https://canvas.test/api/v1/x?page=3&per_page=10>; rel="next",' +
+            '<https://canvas.test/api/v1/x?page=1&per_page=10>; rel="first",' +
+            '<https://canvas.test/api/v1/x?page=9&per_page=10>; rel="last"';
+        assert.equal(canvas.getPageUrl(link, 'next'), 'https://canvas.test/api/v1/x?page=3&per_page=10');
+        assert.equal(canvas.getPageUrl(link, 'last'), 'https://canvas.test/api/v1/x?page=9&per_page=10');
+        assert.equal(canvas.getPageUrl(link, 'prev'), null);
+        assert.equal(canvas.getPageUrl(undefined, 'next'), null);
+    });
+
+    test('getList fetches every page once when there is a last link', async () => {
+        const results = await canvas.getList('courses/1/users', false, 10);
+        assert.deepEqual(ids(results), ids(makeItems(95)));
+        assert.equal(results.report.complete, true);
+        for (let page = 2; page <= 10; page++) {
+            assert.equal(canvasApi.count('courses/1/users', page), 1, `page ${page}`);
+        }
+    });
+
+    test('getList speculates its way through a list without a last link', async () => {
+        const results = await canvas.getList('courses/2/users', false, 10);
+        assert.deepEqual(ids(results), ids(makeItems(45)));
+    });
+
+    test('getList picks up a last link that only shows up on later pages', async () => {
+        const results = await canvas.getList('courses/3/users', false, 10);
+        assert.deepEqual(ids(results), ids(makeItems(60)));
+    });
+
+    test('getList stops after one page when that is all there is', async () => {
+        const before = canvasApi.requests.length;
+        const results = await canvas.getList('courses/4/users', false, 10);
+        assert.equal(results.length, 7);
+        assert.equal(canvasApi.requests.length - before, 1);
+    });
+
+    test('getList copes with endpoints that cap per_page', async () => {
+        const results = await canvas.getList('courses/5/users', false, 100);
+        assert.deepEqual(ids(results), ids(makeItems(80)));
+    });
+
+    test('getList splits ID bookmarks into ranges and merges them in order', async () => {
+        const results = await canvas.getList('courses/6/users', false, 10);
+        assert.deepEqual(ids(results), ids(makeItems(130, 1000, 7)));
+    });
+
+    test('getList walks bookmarks it cannot decode one page at a time', async () => {
+        const results = await canvas.getList('courses/7/users', false, 10);
+        assert.deepEqual(ids(results), ids(makeItems(35)));
+        assert.equal(canvasApi.count('courses/7/users'), 4);
+    });
+
+    test('getAllResultsFromArray fetches page 1 of each item only once', async () => {
+        canvasApi.requests.length = 0;
+        const results = await canvas.getAllResultsFromArray('courses/<item>/users', [1, 4], false, 10);
+        assert.deepEqual(ids(results[1]), ids(makeItems(95)));
+        assert.deepEqual(ids(results[4]), ids(makeItems(7)));
+        assert.equal(canvasApi.count('courses/1/users'), 10);
+        assert.equal(canvasApi.requests.filter(request => request.path === 'courses/1/users' && [null, '1'].includes(request.query.get('page'))).length, 1);
+    });
+
+    test('getAllResultsFromArray follows lists without a last link past page 1', async () => {
+        const results = await canvas.getAllResultsFromArray('courses/<item>/users', [2, 3], false, 10);
+        assert.deepEqual(ids(results[2]), ids(makeItems(45)));
+        assert.deepEqual(ids(results[3]), ids(makeItems(60)));
+    });
+
+    test('getAllResultsFromArray handles both kinds of bookmarks', async () => {
+        const results = await canvas.getAllResultsFromArray('courses/<item>/users', [6, 7], false, 10);
+        assert.deepEqual(ids(results[6]), ids(makeItems(130, 1000, 7)));
+        assert.deepEqual(ids(results[7]), ids(makeItems(35)));
+    });
+
+    test('getAllResultsFromArray credits results to the right item when IDs appear in each other\'s URLs', async () => {
+        const results = await canvas.getAllResultsFromArray('accounts/1/courses/<item>/sections', [5, 15, 1], false, 10);
+        assert.deepEqual(ids(results[1]), ids(makeItems(25, 100)));
+        assert.deepEqual(ids(results[5]), ids(makeItems(12, 500)));
+        assert.deepEqual(ids(results[15]), ids(makeItems(3, 1500)));
+        assert.equal(results.report.complete, true);
+    });
+
+    test('getAllResultsFromArray reports the item that failed', async () => {
+        const results = await canvas.getAllResultsFromArray('accounts/1/courses/<item>/sections', [1, 404], false, 10);
+        assert.deepEqual(ids(results[1]), ids(makeItems(25, 100)));
+        assert.deepEqual(results.report.failedItems, [404]);
+        assert.ok(results.report.failures[0] instanceof CanvasMultiCurl.NotFoundError);
+    });
+
+    test('asUser puts as_user_id on every page of a list, and on single requests', async () => {
+        const asUserOn = path => canvasApi.requests.filter(request => request.path === path).map(request => request.query.get('as_user_id'));
+
+        canvasApi.requests.length = 0;
+        assert.deepEqual(ids(await canvas.getList('courses/1/users', { asUser: 'sis_user_id:s1', perPage: 10 })), ids(makeItems(95)));
+        assert.deepEqual(ids(await canvas.getList('courses/2/users', { asUser: 7, perPage: 10 })), ids(makeItems(45)));
+        const results = await canvas.getAllResultsFromArray('courses/<item>/users', [3], { asUser: 8, perPage: 10 });
+        assert.deepEqual(ids(results[3]), ids(makeItems(60)));
+        assert.ok(asUserOn('courses/1/users').length >= 10);
+        assert.deepEqual([...new Set(asUserOn('courses/1/users'))], ['sis_user_id:s1']);
+        assert.deepEqual([...new Set(asUserOn('courses/2/users'))], ['7']);
+        assert.deepEqual([...new Set(asUserOn('courses/3/users'))], ['8']);
+
+        await canvas.processRequest(canvas.createRequestConfig('courses/4/users?per_page=5', 'GET', null, null, false, { asUser: 9 }));
+        await canvas.request('courses/4/users', 'GET', null, null, { asUser: 10 });
+        assert.deepEqual(asUserOn('courses/4/users'), ['9', '10']);
+        assert.equal(canvasApi.requests.at(-2).query.get('per_page'), '5');
+    });
+
+    // Item 8 gets two of its three pages the first time; the second run finishes it, but 9 fails again so the
+    // checkpoint is kept; the third picks 8 back up and should have each of its records once
+    for (const [name, createStore] of [
+        ['MemoryCheckpointStore', () => new CanvasMultiCurl.MemoryCheckpointStore()],
+        ['FileCheckpointStore', () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'canvas-checkpoint-')), 'run.ndjson')]
+    ]) {
+        test(`a resumed run doesn't repeat pages of an item an earlier run only got partway through (${name})`, async () => {
+            const checkpoint = createStore();
+            const run = () => canvas.getAllResultsFromArray('courses/<item>/users', [8, 9], false, 10, 40, 0, { checkpoint });
+
+            canvasApi.fail('courses/8/users', 404, { times: 1, page: 3 });
+            canvasApi.fail('courses/9/users', 404, { times: 1 });
+            const first = await run();
+            assert.deepEqual(first.report.failedItems.sort(), [8, 9]);
+
+            canvasApi.fail('courses/9/users', 404, { times: 1 });
+            const second = await run();
+            assert.deepEqual(second.report.failedItems, [9]);
+            assert.deepEqual(ids(second[8]), ids(makeItems(25, 800)));
+
+            const third = await run();
+            assert.deepEqual(third.report.resumedItems, [8]);
+            assert.deepEqual(ids(third[8]), ids(makeItems(25, 800)));
+            assert.deepEqual(ids(third[9]), ids(makeItems(5, 900)));
+            if (typeof checkpoint === 'string') fs.rmSync(path.dirname(checkpoint), { recursive: true, force: true });
+        });
+    }
+});
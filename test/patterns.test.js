@@ -0,0 +1,97 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const CanvasMultiCurl = require('../CanvasMultiCurl');
+const { placeholdersIn, fillPattern, expandItems } = require('../lib/patterns');
+const { FakeCanvas, makeItems } = require('./fakeCanvas');
+
+describe('patterns', () => {
+    test('placeholdersIn lists names in order, once each', () => {
+        assert.deepEqual(placeholdersIn('courses/<course>/assignments/<assignment>/x?c=<course>'), ['course', 'assignment']);
+        assert.deepEqual(placeholdersIn('courses/1/users'), ['item']);
+    });
+
+    test('fillPattern fills every occurrence', () => {
+        assert.equal(fillPattern('courses/<course>/x?c=<course>&a=<assignment>', { course: 1, assignment: 2 }), 'courses/1/x?c=1&a=2');
+    });
+
+    test('expandItems gives every combination, or the ones asked for', async () => {
+        const targets = await expandItems(null, 'c/<a>/<b>', { a: [1, 2], b: ['x', 'y'] });
+        assert.deepEqual(targets.map(target => target.item), [
+            { a: 1, b: 'x' }, { a: 1, b: 'y' }, { a: 2, b: 'x' }, { a: 2, b: 'y' }
+        ]);
+        const dependent = await expandItems(null, 'c/<a>/<b>', { a: [1, 2], b: async ({ a }) => [a * 10] });
+        assert.deepEqual(dependent.map(target => target.item), [{ a: 1, b: 10 }, { a: 2, b: 20 }]);
+        assert.deepEqual((await expandItems(null, 'c/<a>', [3, 4])).map(target => target.item), [3, 4]);
+        await assert.rejects(expandItems(null, 'c/<a>/<b>', { a: [1] }), /No values given for <b>/);
+        await assert.rejects(expandItems(null, 'c/<a>/<b>', [{ a: 1 }]), /no value for <b>/);
+    });
+});
+
+describe('getAllResultsFromArray with named placeholders', () => {
+    const canvasApi = new FakeCanvas();
+    let canvas;
+
+    before(async () => {
+        canvas = new CanvasMultiCurl('token', await canvasApi.start(), 10, 0, { logger: null });
+        canvasApi.addList('courses/1/assignments', makeItems(2, 10));
+        canvasApi.addList('courses/2/assignments', makeItems(1, 20));
+        for (const [course, assignment] of [[1, 10], [1, 11], [2, 20]]) {
+            canvasApi.addList(`courses/${course}/assignments/${assignment}/submissions`, makeItems(15, course * 1000 + assignment * 10));
+        }
+        canvasApi.route('GET', /^courses\/\d+$/, request => ({ body: { id: Number(request.path.split('/')[1]) } }));
+    });
+    after(() => canvasApi.close());
+
+    const ids = results => results.map(result => result.id);
+
+    test('results are nested by placeholder, with values from another list', async () => {
+        const results = await canvas.getAllResultsFromArray('courses/<course>/assignments/<assignment>/submissions', {
+            course: [1, 2],
+            assignment: { from: 'courses/<course>/assignments' }
+        }, false, 10);
+
+        assert.deepEqual(Object.keys(results), ['1', '2']);
+        assert.deepEqual(Object.keys(results[1]), ['10', '11']);
+        assert.deepEqual(ids(results[1][11]), ids(makeItems(15, 1110)));
+        assert.deepEqual(ids(results[2][20]), ids(makeItems(15, 2200)));
+        assert.deepEqual(results.report.placeholders, ['course', 'assignment']);
+        assert.equal(results.report.complete, true);
+    });
+
+    test('failures fetching the values are reported and their combinations skipped', async () => {
+        const results = await canvas.getAllResultsFromArray('courses/<course>/assignments/<assignment>/submissions', {
+            course: [1, 404],
+            assignment: { from: 'courses/<course>/assignments' }
+        }, false, 10);
+        assert.deepEqual(Object.keys(results), ['1']);
+        assert.equal(results.report.complete, false);
+        assert.ok(results.report.failures[0] instanceof CanvasMultiCurl.NotFoundError);
+    });
+
+    test('iterateFromArray yields the combination each page is for', async () => {
+        const pages = [];
+        for await (const { item, data } of canvas.iterateFromArray('courses/<course>/assignments/<assignment>/submissions', [{ course: 2, assignment: 20 }], false, 10)) {
+            pages.push({ item, count: data.length });
+        }
+        assert.deepEqual(pages, [{ item: { course: 2, assignment: 20 }, count: 10 }, { item: { course: 2, assignment: 20 }, count: 5 }]);
+    });
+
+    test('a placeholder at the end of the path is credited to the right item', async () => {
+        const results = await canvas.getAllResultsFromArray('courses/<item>', [1, 11, 111]);
+        assert.deepEqual([results[1].id, results[11].id, results[111].id], [1, 11, 111]);
+    });
+
+    test('a resumed run picks finished combinations back up from the checkpoint', async () => {
+        const pattern = 'courses/<course>/assignments/<assignment>/submissions';
+        const items = { course: [1], assignment: [10, 11] };
+        const checkpoint = new CanvasMultiCurl.MemoryCheckpointStore();
+        canvasApi.fail('courses/1/assignments/11/submissions', 404, { times: 1 });
+        const first = await canvas.getAllResultsFromArray(pattern, items, false, 10, 40, 0, { checkpoint });
+        assert.deepEqual(first.report.failedItems, [{ course: 1, assignment: 11 }]);
+
+        const second = await canvas.getAllResultsFromArray(pattern, items, false, 10, 40, 0, { checkpoint });
+        assert.deepEqual(second.report.resumedItems, [{ course: 1, assignment: 10 }]);
+        assert.deepEqual(ids(second[1][10]), ids(makeItems(15, 1100)));
+        assert.deepEqual(ids(second[1][11]), ids(makeItems(15, 1110)));
+    });
+});
@@ -0,0 +1,55 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const CanvasMultiCurl = require('../CanvasMultiCurl');
+const { FakeCanvas } = require('./fakeCanvas');
+
+describe('ClientPool', () => {
+    const canvasApi = new FakeCanvas();
+    let domain;
+    let arrivals;
+
+    before(async () => {
+        domain = await canvasApi.start();
+        canvasApi.route('GET', /^users\/\d+$/, request => {
+            arrivals.push(Date.now());
+            return { body: { id: Number(request.path.split('/')[1]) } };
+        });
+    });
+    after(() => canvasApi.close());
+
+    // Two requests on each client at once, resolving with how long it was from the first arriving to the last.
+    // With one request at a time and 100ms between them, one limiter takes 300ms for all four and two take 100ms.
+    const spread = async clients => {
+        arrivals = [];
+        await Promise.all(clients.flatMap(client => [1, 2].map(id => client.processRequest(client.createRequestConfig(`users/${id}`)))));
+        return Math.max(...arrivals) - Math.min(...arrivals);
+    };
+
+    test('clients with the same token share a limiter, and different tokens get their own', async () => {
+        const pool = new CanvasMultiCurl.ClientPool({ maxConcurrent: 1, minTime: 100, options: { logger: null } });
+        const first = pool.add('first', { domain, token: 'a' });
+        const second = pool.add('second', { domain, token: 'a' });
+        const other = pool.add('other', { domain, token: 'b' });
+
+        assert.equal(first.limiter, second.limiter);
+        assert.notEqual(first.limiter, other.limiter);
+        assert.equal(pool.get('other'), other);
+        assert.throws(() => pool.get('missing'), /No Canvas client named missing/);
+
+        assert.ok(await spread([first, second]) >= 250);
+        assert.ok(await spread([first, other]) < 250);
+    });
+
+    test('shareLimiters: false throttles every client and token on its own', async () => {
+        const pool = new CanvasMultiCurl.ClientPool({ maxConcurrent: 1, minTime: 100, shareLimiters: false, options: { logger: null } });
+        const first = pool.add('first', { domain, token: 'a' });
+        const second = pool.add('second', { domain, token: 'a' });
+        const several = pool.add('several', { domain, tokens: ['a', 'b'] });
+
+        assert.notEqual(first.limiter, second.limiter);
+        assert.notEqual(several.tokens[0].limiter, several.tokens[1].limiter);
+        assert.ok(![first.limiter, second.limiter].includes(several.tokens[0].limiter));
+
+        assert.ok(await spread([first, second]) < 250);
+    });
+});
@@ -0,0 +1,109 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const CanvasMultiCurl = require('../CanvasMultiCurl');
+const { createZip } = require('../lib/zip');
+const { FakeCanvas } = require('./fakeCanvas');
+
+// The files in a zip from createZip, as { name: text }, by walking its local file headers
+function unzip(buffer) {
+    const files = {};
+    let offset = 0;
+    while (buffer.readUInt32LE(offset) === 0x04034b50) {
+        const compressedSize = buffer.readUInt32LE(offset + 18);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const start = offset + 30 + nameLength + buffer.readUInt16LE(offset + 28);
+        const name = buffer.subarray(offset + 30, offset + 30 + nameLength).toString('utf8');
+        files[name] = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize)).toString('utf8');
+        offset = start + compressedSize;
+    }
+    return files;
+}
+
+describe('sisImport', () => {
+    const canvasApi = new FakeCanvas();
+    let canvas;
+    let imports;
+
+    // Each import is importing on its first poll and finished on the second; csv imports fail
+    before(async () => {
+        canvas = new CanvasMultiCurl('token', await canvasApi.start(), 10, 0, { logger: null });
+        canvasApi.route('POST', 'accounts/1/sis_imports', request => {
+            const sisImport = { id: imports.length + 1, extension: request.query.get('extension'), polls: 0 };
+            imports.push(sisImport);
+            return { body: { id: sisImport.id, workflow_state: 'created', progress: 0 } };
+        });
+        canvasApi.route('GET', /^accounts\/1\/sis_imports\/\d+$/, request => {
+            const sisImport = imports[Number(request.path.split('/').pop()) - 1];
+            sisImport.polls++;
+            if (sisImport.polls === 1) {
+                return { body: { id: sisImport.id, workflow_state: 'importing', progress: 50 } };
+            }
+            return sisImport.extension === 'zip'
+                ? { body: { id: sisImport.id, workflow_state: 'imported_with_messages', progress: 100, processing_warnings: [['users.csv', 'user 7 has no email']] } }
+                : { body: { id: sisImport.id, workflow_state: 'failed_with_messages', progress: 100, processing_errors: [['import_1.csv', 'bad header']] } };
+        });
+    });
+    after(() => canvasApi.close());
+
+    const lastPost = () => canvasApi.requests.filter(request => request.method === 'POST').at(-1);
+
+    test('zips several files, passes diffing options and polls until the import is done', async () => {
+        imports = [];
+        const completions = [];
+        const files = { 'users.csv': 'user_id,login_id,status\nu1,one,active\n', 'enrollments.csv': 'course_id,user_id,role,status\nc1,u1,student,active\n' };
+        const result = await canvas.sisImport(1, files, {
+            diffingDataSetIdentifier: 'nightly',
+            diffingRemasterDataSet: true,
+            change_threshold: 10,
+            wait: { interval: 10, onProgress: completion => completions.push(completion) }
+        });
+
+        const post = lastPost();
+        assert.equal(post.query.get('import_type'), 'instructure_csv');
+        assert.equal(post.query.get('extension'), 'zip');
+        assert.equal(post.query.get('diffing_data_set_identifier'), 'nightly');
+        assert.equal(post.query.get('diffing_remaster_data_set'), 'true');
+        assert.equal(post.query.get('change_threshold'), '10');
+        assert.equal(post.headers['content-type'], 'application/zip');
+        assert.deepEqual(unzip(post.raw), files);
+
+        assert.equal(imports[0].polls, 2);
+        assert.deepEqual(completions, [0, 50, 100]);
+        assert.equal(result.state, 'imported_with_messages');
+        assert.equal(result.succeeded, true);
+        assert.deepEqual(result.warnings, [{ file: 'users.csv', message: 'user 7 has no email' }]);
+        assert.deepEqual(result.errors, []);
+    });
+
+    test('sends one CSV as it is, and reports a failed import without throwing', async () => {
+        imports = [];
+        const csv = 'user_id,login_id\nu1,one\n';
+        const result = await canvas.sisImport(1, csv, { batchMode: true, batchModeTermId: 'sis_term_id:T1', wait: { interval: 10 } });
+
+        const post = lastPost();
+        assert.equal(post.query.get('extension'), 'csv');
+        assert.equal(post.query.get('batch_mode'), 'true');
+        assert.equal(post.query.get('batch_mode_term_id'), 'sis_term_id:T1');
+        assert.equal(post.headers['content-type'], 'text/csv');
+        assert.equal(post.raw.toString('utf8'), csv);
+
+        assert.equal(result.succeeded, false);
+        assert.equal(result.state, 'failed_with_messages');
+        assert.deepEqual(result.errors, [{ file: 'import_1.csv', message: 'bad header' }]);
+    });
+
+    test('a zip goes up on its own, and wait: false hands back the new import without polling', async () => {
+        imports = [];
+        const zip = createZip([{ name: 'courses.csv', data: 'course_id,short_name\nc1,C1\n' }]);
+        const result = await canvas.sisImport(1, zip, { wait: false });
+
+        assert.equal(lastPost().query.get('extension'), 'zip');
+        assert.deepEqual(lastPost().raw, zip);
+        assert.equal(imports[0].polls, 0);
+        assert.equal(result.state, 'created');
+
+        assert.throws(() => canvas.prepareSisPayload([]), /needs at least one/);
+        assert.throws(() => canvas.prepareSisPayload([zip, 'a,b\n1,2\n']), /zip file on its own/);
+    });
+});
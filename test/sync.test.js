@@ -0,0 +1,124 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CanvasMultiCurl = require('../CanvasMultiCurl');
+const { FakeCanvas, makeItems } = require('./fakeCanvas');
+
+describe('sync', () => {
+    const canvasApi = new FakeCanvas();
+    let canvas;
+    let dir;
+
+    // students/submissions, with Canvas's submitted_since and graded_since filters (both must match)
+    let submissions = [
+        { id: 1, user_id: 10, submitted_at: '2024-03-01T10:00:00Z', graded_at: '2024-03-02T10:00:00Z', score: 8 },
+        { id: 2, user_id: 11, submitted_at: '2024-03-01T11:00:00Z', graded_at: null, score: null },
+        { id: 3, user_id: 12, submitted_at: null, graded_at: null, score: null }
+    ];
+
+    before(async () => {
+        canvas = new CanvasMultiCurl('token', await canvasApi.start(), 10, 0, { logger: null });
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'canvas-sync-'));
+        canvasApi.route('GET', 'courses/1/students/submissions', request => {
+            const after = (param, field) => {
+                const since = request.query.get(param);
+                return submission => !since || (submission[field] !== null && submission[field] >= since);
+            };
+            return { body: submissions.filter(after('submitted_since', 'submitted_at')).filter(after('graded_since', 'graded_at')) };
+        });
+    });
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        return canvasApi.close();
+    });
+
+    const ids = records => records.map(record => record.id).sort((a, b) => a - b);
+    const submissionRequests = () => canvasApi.requests.filter(request => request.path === 'courses/1/students/submissions');
+
+    test('syncSubmissions fetches everything once, then only what changed', async () => {
+        const store = new CanvasMultiCurl.MemorySyncStore();
+        const first = await canvas.syncSubmissions(1, [5], { store });
+        assert.equal(first.full, true);
+        assert.deepEqual(ids(first.records), [1, 2, 3]);
+        assert.deepEqual(first.marks, { submitted_since: '2024-03-01T11:00:00.000Z', graded_since: '2024-03-02T10:00:00.000Z' });
+        assert.equal(submissionRequests().at(-1).query.getAll('student_ids[]')[0], 'all');
+
+        submissions = submissions.map(submission => submission.id === 2
+            ? { ...submission, graded_at: '2024-03-05T09:00:00Z', score: 7 }
+            : submission);
+        canvasApi.requests.length = 0;
+        const second = await canvas.syncSubmissions(1, [5], { store, overlap: 0 });
+
+        assert.equal(second.full, false);
+        assert.deepEqual(submissionRequests().map(request => [request.query.get('submitted_since'), request.query.get('graded_since')]), [
+            ['2024-03-01T11:00:00.000Z', null],
+            [null, '2024-03-02T10:00:00.000Z']
+        ]);
+        assert.deepEqual(ids(second.changed), [2]);
+        assert.equal(second.records.find(record => record.id === 2).score, 7);
+        assert.deepEqual(ids(second.records), [1, 2, 3]);
+        assert.equal(second.marks.graded_since, '2024-03-05T09:00:00.000Z');
+    });
+
+    test('marks stay put when a run fails, so the changes are asked for again', async () => {
+        const store = new CanvasMultiCurl.MemorySyncStore();
+        const first = await canvas.syncSubmissions(1, [5], { store });
+        canvasApi.fail('courses/1/students/submissions', 404, { times: 1 });
+        await assert.rejects(canvas.syncSubmissions(1, [5], { store }), CanvasMultiCurl.NotFoundError);
+        assert.deepEqual((await store.load('submissions:1:5')).marks, first.marks);
+
+        canvasApi.addList('courses/4/discussion_topics', makeItems(5).map(item => ({ ...item, updated_at: '2024-01-01T00:00:00Z' })));
+        const resource = { name: 'topics:4', url: 'courses/4/discussion_topics', since: { updated_since: 'updated_at' } };
+        const before = await canvas.sync(resource, { store, perPage: 2 });
+        canvasApi.fail('courses/4/discussion_topics', 404, { times: 1, page: 2 });
+        const partial = await canvas.sync(resource, { store, perPage: 2 });
+        assert.equal(partial.full, false);
+        assert.equal(partial.report.complete, false);
+        assert.deepEqual(partial.marks, before.marks);
+        assert.equal(partial.records.length, 5);
+    });
+
+    test('syncEnrollments drops enrollments Canvas reports as deleted and ones that have gone', async () => {
+        const store = new CanvasMultiCurl.MemorySyncStore();
+        const enrollment = (id, state = 'active', updated = '2024-01-01T00:00:00Z') => ({ id, user_id: id * 10, enrollment_state: state, updated_at: updated });
+        canvasApi.addList('courses/2/enrollments', [enrollment(1), enrollment(2), enrollment(3), enrollment(4)]);
+        await canvas.syncEnrollments(2, { store });
+        assert.deepEqual(canvasApi.requests.at(-1).query.getAll('state[]').includes('deleted'), true);
+
+        canvasApi.addList('courses/2/enrollments', [enrollment(1), enrollment(2, 'deleted', '2024-02-01T00:00:00Z'), enrollment(4, 'inactive', '2024-02-01T00:00:00Z'), enrollment(5)]);
+        const result = await canvas.syncEnrollments(2, { store });
+
+        assert.deepEqual(ids(result.records), [1, 4, 5]);
+        assert.deepEqual(ids(result.changed), [4, 5]);
+        assert.deepEqual(ids(result.deleted), [2, 3]);
+    });
+
+    test('resources without a change filter are fetched whole every run', async () => {
+        const store = new CanvasMultiCurl.MemorySyncStore();
+        canvasApi.addList('accounts/3/courses', makeItems(3));
+        await canvas.syncCourses(3, { store });
+
+        canvasApi.addList('accounts/3/courses', makeItems(3).map(item => item.id === 2 ? { ...item, name: 'Renamed' } : item));
+        const second = await canvas.syncCourses(3, { store });
+        assert.equal(second.full, true);
+        assert.deepEqual(ids(second.changed), [2]);
+        assert.equal(canvasApi.count('accounts/3/courses'), 2);
+    });
+
+    test('a FileSyncStore carries state between runs and fullEvery forces a full one', async () => {
+        const file = path.join(dir, 'sync.json');
+        canvasApi.addList('accounts/1/courses', makeItems(3));
+        await Promise.all([
+            canvas.syncCourses(1, { store: file }),
+            canvas.syncSubmissions(1, [5], { store: file })
+        ]);
+        const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+        assert.deepEqual(Object.keys(saved).sort(), ['courses:1', 'submissions:1:5']);
+        assert.deepEqual(Object.keys(saved['courses:1'].records), ['1', '2', '3']);
+
+        assert.equal((await canvas.syncSubmissions(1, [5], { store: file })).full, false);
+        assert.equal((await canvas.syncSubmissions(1, [5], { store: file, fullEvery: 0 })).full, true);
+    });
+});
@@ -0,0 +1,175 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const CanvasMultiCurl = require('../CanvasMultiCurl');
+const { FakeCanvas } = require('./fakeCanvas');
+
+describe('calculateRetryDelay', () => {
+    const canvas = new CanvasMultiCurl('token', 'https://canvas.test', 10, 0, { logger: null });
+
+    test('backs off in proportion to how far below zero the bucket went', () => {
+        assert.equal(canvas.calculateRetryDelay({ 'x-rate-limit-remaining': '-4' }), 600);
+    });
+
+    test('scales with the request cost and what is left in the bucket', () => {
+        assert.equal(canvas.calculateRetryDelay({ 'x-rate-limit-remaining': '300', 'x-request-cost': '2' }), 1000);
+        assert.equal(canvas.calculateRetryDelay({ 'x-rate-limit-remaining': '30', 'x-request-cost': '2' }), 10000);
+    });
+
+    test('waits a second without rate limit headers', () => {
+        assert.equal(canvas.calculateRetryDelay({}), 1000);
+    });
+});
+
+describe('throttling', () => {
+    const canvasApi = new FakeCanvas({ bucket: { capacity: 4, cost: 1, leakPerSecond: 40 } });
+    // Room for all but two of the 20 requests below. A throttled request waits 150ms per unit it was short, and
+    // this refills 1.5 units in that time, so the two that don't fit get through within a retry or two.
+    const roomyApi = new FakeCanvas({ bucket: { capacity: 18, cost: 1, leakPerSecond: 10 } });
+    let domain;
+    let roomyDomain;
+
+    before(async () => {
+        domain = await canvasApi.start();
+        roomyDomain = await roomyApi.start();
+        for (const api of [canvasApi, roomyApi]) {
+            api.route('GET', /^users\/\d+$/, request => ({ body: { id: Number(request.path.split('/')[1]) } }));
+        }
+    });
+    after(() => Promise.all([canvasApi.close(), roomyApi.close()]));
+
+    test('rate limited requests wait and are retried until they get through', async () => {
+        const canvas = new CanvasMultiCurl('token', roomyDomain, 10, 0, { logger: null });
+        const rateLimited = [];
+        canvas.on('rateLimited', event => rateLimited.push(event));
+
+        const configs = Array.from({ length: 20 }, (_, i) => canvas.createRequestConfig(`users/${i}`));
+        const responses = await canvas.handleConcurrentRequests(configs);
+
+        assert.deepEqual(responses.map(response => response.data.id), Array.from({ length: 20 }, (_, i) => i));
+        assert.ok(rateLimited.length > 0, 'expected the bucket to run dry');
+        assert.ok(rateLimited.every(event => event.delay > 0));
+        assert.equal(typeof canvas.getRateLimitStats().remaining, 'number');
+    });
+
+    test('the adaptive limiter slows down as the bucket empties', async () => {
+        const canvas = new CanvasMultiCurl('token', domain, 10, 0, { logger: null, adaptiveRateLimit: { lowWater: 2, highWater: 3 } });
+        const configs = Array.from({ length: 10 }, (_, i) => canvas.createRequestConfig(`users/${i}`));
+        await canvas.handleConcurrentRequests(configs);
+        assert.ok(canvas.getRateLimitStats().concurrency < 10);
+    });
+});
+
+describe('errors and retries', () => {
+    const canvasApi = new FakeCanvas();
+    let domain;
+
+    before(async () => {
+        domain = await canvasApi.start();
+        canvasApi.route('GET', 'flaky', () => ({ body: { ok: true } }));
+        canvasApi.route('POST', 'flaky', () => ({ body: { ok: true } }));
+        canvasApi.route('GET', 'throttled', () => ({ body: { ok: true } }));
+    });
+    after(() => canvasApi.close());
+
+    const createCanvas = (options = {}) => new CanvasMultiCurl('token', domain, 10, 0, {
+        logger: null,
+        retryPolicy: { baseDelay: 5, jitter: false },
+        ...options
+    });
+
+    test('5xx GETs are retried with backoff', async () => {
+        canvasApi.fail('flaky', 503, { times: 2 });
+        const canvas = createCanvas();
+        const response = await canvas.processRequest(canvas.createRequestConfig('flaky'));
+        assert.equal(response.status, 200);
+        assert.equal(canvasApi.count('flaky'), 3);
+    });
+
+    test('5xx POSTs are not retried', async () => {
+        canvasApi.requests.length = 0;
+        canvasApi.fail('flaky', 500, { times: 1 });
+        const canvas = createCanvas();
+        const failures = [];
+        const response = await canvas.processRequest(canvas.createRequestConfig('flaky', 'POST', { a: 1 }), failures);
+        assert.equal(response, null);
+        assert.equal(canvasApi.count('flaky'), 1);
+        assert.ok(failures[0] instanceof CanvasMultiCurl.UnexpectedResponseError);
+        assert.equal(failures[0].status, 500);
+    });
+
+    test('rate limit 403s become a RateLimitError once retries run out', async () => {
+        canvasApi.fail('throttled', 403, {
+            times: 2,
+            body: '403 Forbidden (Rate Limit Exceeded)',
+            headers: { 'X-Rate-Limit-Remaining': '-0.1' }
+        });
+        const canvas = createCanvas({ retryPolicy: { maxAttempts: 2 } });
+        const failures = [];
+        assert.equal(await canvas.processRequest(canvas.createRequestConfig('throttled'), failures), null);
+        assert.ok(failures[0] instanceof CanvasMultiCurl.RateLimitError);
+        assert.equal(failures[0].retries, 1);
+    });
+
+    test('other 403s and 404s fail straight away with their own errors', async () => {
+        canvasApi.fail('forbidden', 403);
+        const canvas = createCanvas();
+        const failures = [];
+        await canvas.processRequest(canvas.createRequestConfig('forbidden'), failures);
+        await canvas.processRequest(canvas.createRequestConfig('missing'), failures);
+        assert.ok(failures[0] instanceof CanvasMultiCurl.ForbiddenError);
+        assert.ok(failures[1] instanceof CanvasMultiCurl.NotFoundError);
+        assert.equal(canvasApi.count('forbidden') + canvasApi.count('missing'), 2);
+    });
+
+    test('errorMode throw rejects with the error', async () => {
+        const canvas = createCanvas({ errorMode: 'throw' });
+        await assert.rejects(canvas.getList('missing'), CanvasMultiCurl.NotFoundError);
+    });
+
+    test('request() is retried and reports failures like any other request', async () => {
+        canvasApi.requests.length = 0;
+        canvasApi.fail('flaky', 503, { times: 1 });
+        const canvas = createCanvas();
+        const errors = [];
+        canvas.on('requestError', error => errors.push(error));
+        assert.deepEqual((await canvas.request('flaky')).data, { ok: true });
+        assert.equal(canvasApi.count('flaky'), 2);
+
+        assert.equal(await canvas.request('missing', 'PUT', { a: 1 }), null);
+        assert.ok(errors[0] instanceof CanvasMultiCurl.NotFoundError);
+
+        const throwing = createCanvas({ errorMode: 'throw', retryPolicy: { maxAttempts: 2, baseDelay: 5, jitter: false } });
+        await assert.rejects(throwing.request('missing'), CanvasMultiCurl.NotFoundError);
+        canvasApi.fail('flaky', 500, { times: 2 });
+        await assert.rejects(throwing.request('flaky'), error => error instanceof CanvasMultiCurl.UnexpectedResponseError && error.retries === 1);
+    });
+});
+
+describe('several tokens', () => {
+    const canvasApi = new FakeCanvas();
+    let domain;
+
+    before(async () => {
+        domain = await canvasApi.start();
+        // Each token has its own bucket: 'busy' is nearly out, 'idle' is full
+        canvasApi.route('GET', /^users\/\d+$/, request => ({
+            headers: { 'X-Rate-Limit-Remaining': request.headers.authorization === 'Bearer busy' ? '50' : '690', 'X-Request-Cost': '1' },
+            body: { id: Number(request.path.split('/')[1]) }
+        }));
+    });
+    after(() => canvasApi.close());
+
+    test('the adaptive limiter slows down only the token whose bucket is emptying', async () => {
+        const canvas = new CanvasMultiCurl(['busy', 'idle'], domain, 4, 0, { logger: null, adaptiveRateLimit: { shrinkInterval: 0, maxMinTime: 100 } });
+        const configs = Array.from({ length: 20 }, (_, i) => canvas.createRequestConfig(`users/${i}`));
+        await canvas.handleConcurrentRequests(configs);
+
+        const [busy, idle] = canvas.getRateLimitStats().tokens;
+        assert.equal(busy.remaining, 50);
+        assert.equal(busy.concurrency, 1);
+        assert.ok(busy.minTime > 0);
+        assert.equal(idle.remaining, 690);
+        assert.equal(idle.concurrency, 4);
+        assert.equal(idle.minTime, 0);
+    });
+});
@@ -0,0 +1,90 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const CanvasMultiCurl = require('../CanvasMultiCurl');
+const { FakeCanvas } = require('./fakeCanvas');
+
+describe('uploadFile', () => {
+    const canvasApi = new FakeCanvas();
+    const storage = new FakeCanvas(); // where Canvas sends the file itself
+    let domain;
+    let canvas;
+
+    before(async () => {
+        domain = await canvasApi.start();
+        const storageDomain = await storage.start();
+        canvas = new CanvasMultiCurl('SECRET', domain, 10, 0, { logger: null });
+
+        // Step 1: where to send the file, by how it's going to end up (see the storage routes)
+        canvasApi.route('POST', /\/files$/, request => ({
+            body: {
+                upload_url: `${storageDomain}/upload/${request.body.name.split('.')[0]}`,
+                upload_params: { key: 'abc123', 'Content-Type': request.body.content_type || 'text/plain' },
+                file_param: 'file'
+            }
+        }));
+        // Step 3: confirming the upload
+        canvasApi.route('GET', 'files/77/create_success', () => ({ body: { id: 77, display_name: 'redirected.txt' } }));
+        canvasApi.route('POST', 'courses/1/assignments/2/submissions', request => ({ body: { id: 900, ...request.body.submission } }));
+
+        // Step 2: answered with a redirect to the confirmation, with the File itself, or not at all
+        storage.route('POST', '/upload/redirected', () => ({ status: 302, headers: { Location: `${domain}/api/v1/files/77/create_success?uuid=x` }, body: '' }));
+        storage.route('POST', '/upload/direct', () => ({ status: 201, body: { id: 78, display_name: 'direct.txt' } }));
+        storage.route('POST', '/upload/broken', () => ({ status: 500, body: { message: 'storage is down' } }));
+    });
+    after(() => Promise.all([canvasApi.close(), storage.close()]));
+
+    beforeEach(() => {
+        canvasApi.requests.length = 0;
+        storage.requests.length = 0;
+    });
+
+    test('sends the file to the pre-signed URL without the token, then confirms it with the token', async () => {
+        const file = await canvas.uploadFile({ course: 1 }, Buffer.from('hello there'), { name: 'redirected.txt', parentFolderPath: 'uploads' });
+        assert.deepEqual(file, { id: 77, display_name: 'redirected.txt' });
+
+        const [start, confirm] = canvasApi.requests;
+        assert.equal(start.path, 'courses/1/files');
+        assert.deepEqual(start.body, { name: 'redirected.txt', size: 11, parent_folder_path: 'uploads' });
+        assert.equal(start.headers.authorization, 'Bearer SECRET');
+        assert.equal(confirm.path, 'files/77/create_success');
+        assert.equal(confirm.headers.authorization, 'Bearer SECRET');
+
+        assert.equal(storage.requests.length, 1);
+        const upload = storage.requests[0];
+        assert.equal(upload.headers.authorization, undefined);
+        assert.match(upload.headers['content-type'], /^multipart\/form-data; boundary=/);
+        assert.match(upload.body, /name="key"\r\n\r\nabc123\r\n/);
+        assert.match(upload.body, /name="file"; filename="redirected.txt"\r\nContent-Type: application\/octet-stream\r\n\r\nhello there\r\n/);
+        assert.equal(Number(upload.headers['content-length']), Buffer.byteLength(upload.body));
+    });
+
+    test('takes the File straight from the upload when storage answers with it, and can hand it in', async () => {
+        const stream = Readable.from([Buffer.from('abc'), Buffer.from('def')]);
+        const file = await canvas.uploadFile({ course: 1, assignment: 2, user: 'self', submit: true }, stream, { name: 'direct.txt', size: 6 });
+
+        assert.equal(file.id, 78);
+        assert.deepEqual(file.submission, { id: 900, submission_type: 'online_upload', file_ids: [78] });
+        assert.deepEqual(canvasApi.requests.map(request => request.path), ['courses/1/assignments/2/submissions/self/files', 'courses/1/assignments/2/submissions']);
+        assert.match(storage.requests[0].body, /\r\n\r\nabcdef\r\n/);
+    });
+
+    test('a failed upload is reported, and nothing is confirmed', async () => {
+        const failures = [];
+        canvas.on('requestError', error => failures.push(error));
+        const file = await canvas.uploadFile({ course: 1 }, Buffer.from('lost'), { name: 'broken.txt' });
+        canvas.removeAllListeners('requestError');
+
+        assert.equal(file, null);
+        assert.equal(failures.length, 1);
+        assert.equal(failures[0].status, 500);
+        assert.match(failures[0].message, /storage is down/);
+        assert.deepEqual(canvasApi.requests.map(request => request.path), ['courses/1/files']);
+        assert.equal(storage.requests.length, 1); // a POST isn't retried
+    });
+
+    test('needs a name and size for streams', async () => {
+        await assert.rejects(canvas.uploadFile({ course: 1 }, Readable.from([]), { name: 'x.txt' }), /meta.size/);
+        await assert.rejects(canvas.uploadFile({ course: 1 }, Buffer.from('x')), /meta.name/);
+    });
+});